@@ -3,39 +3,228 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import {
   ListToolsRequestSchema,
   CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import { createServer } from "node:http";
+import { AsyncLocalStorage } from "node:async_hooks";
 import {
   readFileSync,
   writeFileSync,
+  appendFileSync,
   existsSync,
   mkdirSync,
+  readdirSync,
+  renameSync,
+  openSync,
+  writeSync,
+  closeSync,
+  statSync,
+  unlinkSync,
 } from "node:fs";
 import { homedir } from "node:os";
-import { join } from "node:path";
-import { exec } from "node:child_process";
+import { join, resolve, relative, dirname, sep } from "node:path";
+import { exec, execFileSync } from "node:child_process";
+import { deflateRawSync, inflateRawSync } from "node:zlib";
+import {
+  createHash,
+  createSign,
+  randomBytes,
+  scryptSync,
+  createCipheriv,
+  createDecipheriv,
+} from "node:crypto";
 
 // ─── Configuration ──────────────────────────────────────────
 const API_VERSION = "62.0";
-const CLIENT_ID = "PlatformCLI";
-const CALLBACK_PORT = 1717;
-const CALLBACK_URL = `http://localhost:${CALLBACK_PORT}/OauthRedirect`;
+const CLIENT_ID = process.env.SF_CLIENT_ID || "PlatformCLI";
+const CALLBACK_PORT = Number(process.env.SF_CALLBACK_PORT) || 1717;
+const DEFAULT_LOGIN_URL = "https://login.salesforce.com";
 const CREDS_DIR = join(homedir(), ".sf-claude");
 const CREDS_FILE = join(CREDS_DIR, "credentials.json");
+const KEY_FILE = join(CREDS_DIR, "key");
+const LOCK_FILE = join(CREDS_DIR, "credentials.lock");
+const DEFAULT_MAX_RECORDS = 2000;
+const DEFAULT_WAIT_SECONDS = 300;
+const COLLECTION_BATCH_LIMIT = 200;
 
 // ─── Credential Storage ────────────────────────────────────
-function loadOrgs() {
-  if (!existsSync(CREDS_FILE)) return {};
+// credentials.json is AES-256-GCM encrypted with a key derived from
+// SF_CLAUDE_PASSPHRASE, or with a random key kept in ~/.sf-claude/key.
+// Writes go through a lock file and an atomic rename so concurrent server
+// instances don't lose each other's updates.
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 15000;
+
+function passphrase() {
+  return process.env.SF_CLAUDE_PASSPHRASE || "";
+}
+
+function ensureCredsDir() {
+  if (!existsSync(CREDS_DIR)) {
+    mkdirSync(CREDS_DIR, { recursive: true, mode: 0o700 });
+  }
+}
+
+function writeFileAtomic(file, contents) {
+  ensureCredsDir();
+  const tmp = `${file}.${process.pid}.${randomBytes(4).toString("hex")}.tmp`;
+  writeFileSync(tmp, contents, { mode: 0o600 });
+  renameSync(tmp, file);
+}
+
+function localKey() {
+  if (existsSync(KEY_FILE)) {
+    return Buffer.from(readFileSync(KEY_FILE, "utf8").trim(), "hex");
+  }
+  const key = randomBytes(32);
+  writeFileAtomic(KEY_FILE, key.toString("hex"));
+  return key;
+}
+
+function encryptionKey(kdf, salt) {
+  if (kdf === "scrypt") {
+    if (!passphrase()) {
+      throw new Error(
+        "Credentials are protected by a passphrase. Set SF_CLAUDE_PASSPHRASE."
+      );
+    }
+    return scryptSync(passphrase(), salt, 32);
+  }
+  return localKey();
+}
+
+function encryptOrgs(orgs) {
+  const kdf = passphrase() ? "scrypt" : "keyfile";
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", encryptionKey(kdf, salt), iv);
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(orgs), "utf8"),
+    cipher.final(),
+  ]);
+  return {
+    version: 1,
+    cipher: "aes-256-gcm",
+    kdf,
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+function decryptOrgs(payload) {
+  const key = encryptionKey(payload.kdf, Buffer.from(payload.salt, "base64"));
+  try {
+    const decipher = createDecipheriv(
+      "aes-256-gcm",
+      key,
+      Buffer.from(payload.iv, "base64")
+    );
+    decipher.setAuthTag(Buffer.from(payload.tag, "base64"));
+    return JSON.parse(
+      Buffer.concat([
+        decipher.update(Buffer.from(payload.data, "base64")),
+        decipher.final(),
+      ]).toString("utf8")
+    );
+  } catch {
+    throw new Error(
+      payload.kdf === "scrypt"
+        ? "Could not decrypt credentials. Check SF_CLAUDE_PASSPHRASE."
+        : `Could not decrypt credentials with ${KEY_FILE}.`
+    );
+  }
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function withCredentialsLock(fn) {
+  ensureCredsDir();
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  let fd;
+  for (;;) {
+    try {
+      fd = openSync(LOCK_FILE, "wx", 0o600);
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+      try {
+        if (Date.now() - statSync(LOCK_FILE).mtimeMs > LOCK_STALE_MS) {
+          unlinkSync(LOCK_FILE);
+          continue;
+        }
+      } catch {
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(
+          `Timed out waiting for ${LOCK_FILE}. Delete it if no other server is running.`
+        );
+      }
+      sleepSync(50);
+    }
+  }
+  try {
+    writeSync(fd, String(process.pid));
+    return fn();
+  } finally {
+    closeSync(fd);
+    unlinkSync(LOCK_FILE);
+  }
+}
+
+function readOrgsFile() {
+  if (!existsSync(CREDS_FILE)) return { orgs: {}, plaintext: false };
+  let parsed;
   try {
-    return JSON.parse(readFileSync(CREDS_FILE, "utf8"));
+    parsed = JSON.parse(readFileSync(CREDS_FILE, "utf8"));
   } catch {
-    return {};
+    return { orgs: {}, plaintext: false };
+  }
+  if (parsed.cipher) {
+    return {
+      orgs: decryptOrgs(parsed),
+      plaintext: false,
+      stale: parsed.kdf !== (passphrase() ? "scrypt" : "keyfile"),
+    };
+  }
+  return { orgs: parsed, plaintext: true };
+}
+
+function loadOrgs() {
+  const { orgs, plaintext, stale } = readOrgsFile();
+  // Re-encrypt files written in plaintext by older versions, or with a key
+  // source that no longer matches the environment.
+  if (plaintext || stale) {
+    withCredentialsLock(() => {
+      const current = readOrgsFile();
+      if (current.plaintext || current.stale) saveOrgs(current.orgs);
+    });
   }
+  return orgs;
 }
 
 function saveOrgs(orgs) {
-  if (!existsSync(CREDS_DIR)) mkdirSync(CREDS_DIR, { recursive: true });
-  writeFileSync(CREDS_FILE, JSON.stringify(orgs, null, 2));
+  writeFileAtomic(CREDS_FILE, JSON.stringify(encryptOrgs(orgs), null, 2));
+}
+
+// Applies fn to the stored orgs under the lock and saves the result.
+function updateOrgs(fn) {
+  return withCredentialsLock(() => {
+    const { orgs } = readOrgsFile();
+    const result = fn(orgs);
+    saveOrgs(orgs);
+    return result;
+  });
 }
 
 function getOrg(alias) {
@@ -52,36 +241,207 @@ function getOrg(alias) {
 }
 
 // ─── Token Refresh ─────────────────────────────────────────
+const canRefresh = (org) =>
+  Boolean(org.refreshToken || org.authMethod === "jwt");
+
 async function refreshToken(org) {
-  const res = await fetch(`${org.loginUrl}/services/oauth2/token`, {
-    method: "POST",
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    body: new URLSearchParams({
-      grant_type: "refresh_token",
-      client_id: CLIENT_ID,
-      refresh_token: org.refreshToken,
-    }),
-  });
-  if (!res.ok) {
-    throw new Error(
-      "Session expired. Re-authenticate with sf_org_login."
-    );
+  // Another server instance may have refreshed the token already.
+  const stored = loadOrgs()[org._alias];
+  if (stored?.accessToken && stored.accessToken !== org.accessToken) {
+    org.accessToken = stored.accessToken;
+    return stored.accessToken;
   }
-  const data = await res.json();
-  const orgs = loadOrgs();
-  if (orgs[org._alias]) {
+  let data;
+  if (org.authMethod === "jwt") {
+    data = await jwtBearerToken(org.loginUrl, {
+      clientId: org.clientId,
+      username: org.username,
+      privateKeyFile: org.privateKeyFile,
+    });
+  } else {
+    const res = await fetch(`${org.loginUrl}/services/oauth2/token`, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        grant_type: "refresh_token",
+        client_id: org.clientId || CLIENT_ID,
+        refresh_token: org.refreshToken,
+        ...(org.clientSecret && { client_secret: org.clientSecret }),
+      }),
+    });
+    if (!res.ok) {
+      throw new Error(
+        "Session expired. Re-authenticate with sf_org_login."
+      );
+    }
+    data = await res.json();
+  }
+  updateOrgs((orgs) => {
+    if (!orgs[org._alias]) return;
     orgs[org._alias].accessToken = data.access_token;
     if (data.instance_url) orgs[org._alias].instanceUrl = data.instance_url;
-    saveOrgs(orgs);
-  }
+  });
+  org.accessToken = data.access_token;
   return data.access_token;
 }
 
+// ─── Request Pipeline ──────────────────────────────────────
+// Every org API call goes through sfFetch: a shared concurrency limit,
+// per-attempt timeouts, retries with backoff, cancellation from the MCP
+// client and a running tally of the org's daily API usage.
+const MAX_CONCURRENT_REQUESTS = Number(process.env.SF_MAX_CONCURRENCY) || 4;
+const REQUEST_TIMEOUT_MS =
+  (Number(process.env.SF_REQUEST_TIMEOUT_SECONDS) || 120) * 1000;
+const API_WARN_PERCENT = Number(process.env.SF_API_WARN_PERCENT) || 80;
+const MAX_RETRIES = 3;
+const RETRYABLE_STATUSES = [502, 503, 504];
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE"];
+const CONNECT_ERRORS = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+// Holds { signal, warnings } for the tool call being handled.
+const requestContext = new AsyncLocalStorage();
+const apiUsage = new Map();
+const waitingForSlot = [];
+let activeRequests = 0;
+
+function addWarning(message) {
+  const warnings = requestContext.getStore()?.warnings;
+  if (warnings && !warnings.includes(message)) warnings.push(message);
+}
+
+function acquireSlot(signal) {
+  if (activeRequests < MAX_CONCURRENT_REQUESTS) {
+    activeRequests++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const entry = { resolve };
+    waitingForSlot.push(entry);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        const index = waitingForSlot.indexOf(entry);
+        if (index !== -1) {
+          waitingForSlot.splice(index, 1);
+          reject(signal.reason);
+        }
+      },
+      { once: true }
+    );
+  });
+}
+
+function releaseSlot() {
+  const next = waitingForSlot.shift();
+  if (next) next.resolve();
+  else activeRequests--;
+}
+
+function usageFor(alias) {
+  if (!apiUsage.has(alias)) {
+    apiUsage.set(alias, { requests: 0, retries: 0 });
+  }
+  return apiUsage.get(alias);
+}
+
+// Sforce-Limit-Info looks like "api-usage=1234/15000".
+function recordApiUsage(alias, res) {
+  const usage = usageFor(alias);
+  usage.requests++;
+  const match = res.headers
+    .get("sforce-limit-info")
+    ?.match(/(?:^|[,;\s])api-usage=(\d+)\/(\d+)/);
+  if (match) {
+    usage.used = Number(match[1]);
+    usage.max = Number(match[2]);
+    usage.updatedAt = new Date().toISOString();
+  }
+}
+
+function checkApiUsage(alias) {
+  const { used, max } = usageFor(alias);
+  if (!max) return;
+  const percent = ((used + 1) / max) * 100;
+  if (percent >= API_WARN_PERCENT) {
+    addWarning(
+      `Org ${alias} has used ${used} of ${max} daily API requests (${Math.floor(percent)}%, warning threshold ${API_WARN_PERCENT}%).`
+    );
+  }
+}
+
+// A gateway error can arrive after Salesforce committed a write, so only
+// idempotent calls retry on 5xx. REQUEST_LIMIT_EXCEEDED is rejected before
+// any processing and is safe to retry for every method.
+async function isRetryableResponse(res, method) {
+  if (RETRYABLE_STATUSES.includes(res.status)) {
+    return IDEMPOTENT_METHODS.includes(method);
+  }
+  if (res.status !== 403) return false;
+  return (await res.clone().text()).includes("REQUEST_LIMIT_EXCEEDED");
+}
+
+function isRetryableError(err, method) {
+  if (!(err instanceof TypeError)) return false;
+  const code = err.cause?.code;
+  return IDEMPOTENT_METHODS.includes(method) || CONNECT_ERRORS.includes(code);
+}
+
+function retryDelay(attempt, res) {
+  const retryAfter = Number(res?.headers.get("retry-after"));
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, 30000);
+  return 500 * 2 ** attempt + Math.floor(Math.random() * 250);
+}
+
+async function sfFetch(alias, url, init = {}) {
+  const signal = requestContext.getStore()?.signal;
+  const method = (init.method || "GET").toUpperCase();
+  checkApiUsage(alias);
+  for (let attempt = 0; ; attempt++) {
+    signal?.throwIfAborted();
+    await acquireSlot(signal);
+    const controller = new AbortController();
+    const timer = setTimeout(
+      () =>
+        controller.abort(
+          new Error(
+            `Request timed out after ${REQUEST_TIMEOUT_MS / 1000}s: ${method} ${url}`
+          )
+        ),
+      REQUEST_TIMEOUT_MS
+    );
+    const cancel = () => controller.abort(signal.reason);
+    signal?.addEventListener("abort", cancel, { once: true });
+    let res;
+    let error;
+    try {
+      res = await fetch(url, { ...init, signal: controller.signal });
+    } catch (err) {
+      error = controller.signal.aborted ? controller.signal.reason : err;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", cancel);
+      releaseSlot();
+    }
+    if (res) recordApiUsage(alias, res);
+    const retryable = error
+      ? !controller.signal.aborted && isRetryableError(error, method)
+      : await isRetryableResponse(res, method);
+    if (!retryable || attempt >= MAX_RETRIES) {
+      if (error) throw error;
+      return res;
+    }
+    usageFor(alias).retries++;
+    await res?.body?.cancel();
+    await sleep(retryDelay(attempt, res));
+  }
+}
+
 // ─── Salesforce API Helper ─────────────────────────────────
 async function sfApi(orgAlias, path, opts = {}) {
   const org = getOrg(orgAlias);
   const doFetch = (token) =>
-    fetch(
+    sfFetch(
+      org._alias,
       `${org.instanceUrl}/services/data/v${API_VERSION}${path}`,
       {
         method: opts.method || "GET",
@@ -100,7 +460,7 @@ async function sfApi(orgAlias, path, opts = {}) {
     );
 
   let res = await doFetch(org.accessToken);
-  if (res.status === 401 && org.refreshToken) {
+  if (res.status === 401 && canRefresh(org)) {
     const newToken = await refreshToken(org);
     res = await doFetch(newToken);
   }
@@ -114,7 +474,7 @@ async function sfApi(orgAlias, path, opts = {}) {
 async function sfRawApi(orgAlias, fullPath, opts = {}) {
   const org = getOrg(orgAlias);
   const doFetch = (token) =>
-    fetch(`${org.instanceUrl}${fullPath}`, {
+    sfFetch(org._alias, `${org.instanceUrl}${fullPath}`, {
       method: opts.method || "GET",
       headers: {
         Authorization: `Bearer ${token}`,
@@ -130,389 +490,6661 @@ async function sfRawApi(orgAlias, fullPath, opts = {}) {
     });
 
   let res = await doFetch(org.accessToken);
-  if (res.status === 401 && org.refreshToken) {
+  if (res.status === 401 && canRefresh(org)) {
     const newToken = await refreshToken(org);
     res = await doFetch(newToken);
   }
   return res;
 }
 
-// ─── OAuth Login Flow ──────────────────────────────────────
-function oauthLogin(alias, loginUrl) {
-  return new Promise((resolve, reject) => {
-    const params = new URLSearchParams({
-      response_type: "code",
-      client_id: CLIENT_ID,
-      redirect_uri: CALLBACK_URL,
-      scope: "api refresh_token",
-    });
-    const authUrl = `${loginUrl}/services/oauth2/authorize?${params}`;
-    let settled = false;
+// ─── Query Pagination ──────────────────────────────────────
+function soqlString(value) {
+  return `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+}
 
-    const httpServer = createServer(async (req, res) => {
-      if (settled) return;
-      const url = new URL(req.url, `http://localhost:${CALLBACK_PORT}`);
-      if (url.pathname !== "/OauthRedirect") {
-        res.writeHead(404);
-        res.end();
-        return;
-      }
+function soqlLiteral(value) {
+  return typeof value === "number" || typeof value === "boolean"
+    ? String(value)
+    : soqlString(value);
+}
 
-      const code = url.searchParams.get("code");
-      const error = url.searchParams.get("error");
-      if (error || !code) {
-        settled = true;
-        res.writeHead(400, { "Content-Type": "text/html" });
-        res.end(
-          `<html><body style="font-family:system-ui;text-align:center;padding:60px"><h2>Authentication failed</h2><p>${error || "No authorization code received"}</p></body></html>`
-        );
-        httpServer.close();
-        reject(new Error(error || "No authorization code received"));
-        return;
-      }
+// Follows nextRecordsUrl until the result is exhausted or maxRecords rows
+// have been collected.
+async function sfQueryAll(orgAlias, query, opts = {}) {
+  const { tooling, includeDeleted } = opts;
+  const maxRecords = opts.maxRecords || DEFAULT_MAX_RECORDS;
+  if (tooling && includeDeleted) {
+    throw new Error(
+      "include_deleted is not supported for Tooling API queries"
+    );
+  }
+  const prefix = tooling ? "/tooling" : "";
+  const resource = includeDeleted ? "queryAll" : "query";
+  const first = await sfApi(
+    orgAlias,
+    `${prefix}/${resource}?q=${encodeURIComponent(query)}`
+  );
+  const records = [...first.records];
+  let next = first.nextRecordsUrl;
+  while (next && records.length < maxRecords) {
+    const res = await sfRawApi(orgAlias, next);
+    const page = await res.json();
+    if (!res.ok) throw new Error(JSON.stringify(page, null, 2));
+    records.push(...page.records);
+    next = page.nextRecordsUrl;
+  }
+  const truncated = Boolean(next) || records.length > maxRecords;
+  return {
+    totalSize: first.totalSize,
+    fetched: Math.min(records.length, maxRecords),
+    truncated,
+    records: records.slice(0, maxRecords),
+  };
+}
 
-      try {
-        const tokenRes = await fetch(
-          `${loginUrl}/services/oauth2/token`,
-          {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/x-www-form-urlencoded",
-            },
-            body: new URLSearchParams({
-              grant_type: "authorization_code",
-              client_id: CLIENT_ID,
-              redirect_uri: CALLBACK_URL,
-              code,
-            }),
-          }
-        );
-        if (!tokenRes.ok) throw new Error(await tokenRes.text());
-        const tokens = await tokenRes.json();
-
-        let identity = {};
-        try {
-          const idRes = await fetch(tokens.id, {
-            headers: {
-              Authorization: `Bearer ${tokens.access_token}`,
-            },
-          });
-          if (idRes.ok) identity = await idRes.json();
-        } catch {}
-
-        const orgData = {
-          accessToken: tokens.access_token,
-          refreshToken: tokens.refresh_token,
-          instanceUrl: tokens.instance_url,
-          loginUrl,
-          username: identity.username || "",
-          orgId: identity.organization_id || "",
-          displayName: identity.display_name || "",
-          authenticatedAt: new Date().toISOString(),
-        };
+// ─── Describe Cache ────────────────────────────────────────
+// Describe results are cached per org and revalidated with If-Modified-Since;
+// within DESCRIBE_FRESH_MS they are reused without a request.
+const DESCRIBE_FRESH_MS = 60000;
+const describeCache = new Map();
+
+async function sfDescribeCached(orgAlias, path) {
+  const key = `${getOrg(orgAlias)._alias}:${path.toLowerCase()}`;
+  const cached = describeCache.get(key);
+  if (cached && Date.now() - cached.checkedAt < DESCRIBE_FRESH_MS) {
+    return cached.data;
+  }
+  const res = await sfRawApi(
+    orgAlias,
+    `/services/data/v${API_VERSION}${path}`,
+    { headers: cached ? { "If-Modified-Since": cached.lastModified } : {} }
+  );
+  if (res.status === 304 && cached) {
+    cached.checkedAt = Date.now();
+    return cached.data;
+  }
+  const data = await res.json();
+  if (!res.ok) throw new Error(JSON.stringify(data, null, 2));
+  describeCache.set(key, {
+    data,
+    lastModified:
+      res.headers.get("Last-Modified") ||
+      res.headers.get("Date") ||
+      new Date().toUTCString(),
+    checkedAt: Date.now(),
+  });
+  return data;
+}
 
-        const orgs = loadOrgs();
-        orgs[alias] = orgData;
-        saveOrgs(orgs);
+function describeSObject(orgAlias, sobject) {
+  return sfDescribeCached(orgAlias, `/sobjects/${sobject}/describe`);
+}
 
-        settled = true;
-        res.writeHead(200, { "Content-Type": "text/html" });
-        res.end(
-          [
-            '<html><body style="font-family:system-ui;text-align:center;padding:60px">',
-            '<h2 style="color:#22c55e">Connected to Salesforce</h2>',
-            `<p style="font-size:18px"><b>${orgData.username}</b></p>`,
-            `<p>Saved as: <code style="background:#f1f5f9;padding:2px 8px;border-radius:4px">${alias}</code></p>`,
-            '<p style="color:#666;margin-top:24px">You can close this window and return to Claude.</p>',
-            "</body></html>",
-          ].join("")
-        );
-        httpServer.close();
-        resolve(orgData);
-      } catch (err) {
-        settled = true;
-        res.writeHead(500, { "Content-Type": "text/html" });
-        res.end(
-          `<html><body style="font-family:system-ui;text-align:center;padding:60px"><h2>Authentication failed</h2><pre>${err.message}</pre></body></html>`
-        );
-        httpServer.close();
-        reject(err);
+function describeGlobal(orgAlias) {
+  return sfDescribeCached(orgAlias, "/sobjects");
+}
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  const source = escaped.replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(pattern.includes("*") ? `^${source}$` : source, "i");
+}
+
+// The same matching as globToRegExp, as a quoted SOQL LIKE pattern.
+function globToLike(pattern) {
+  const glob = pattern.includes("*") ? pattern : `*${pattern}*`;
+  return soqlString(glob)
+    .replace(/[%_]/g, "\\$&")
+    .replace(/\*/g, "%")
+    .replace(/\?/g, "_");
+}
+
+function filterFields(fields, { fieldPattern, fieldType, customOnly }) {
+  const pattern = fieldPattern ? globToRegExp(fieldPattern) : null;
+  const types = fieldType
+    ? asArray(fieldType).map((t) => t.toLowerCase())
+    : null;
+  return fields.filter(
+    (f) =>
+      (!pattern || pattern.test(f.name) || pattern.test(f.label)) &&
+      (!types || types.includes(f.type.toLowerCase())) &&
+      (!customOnly || f.custom)
+  );
+}
+
+function summarizeField(f) {
+  return {
+    name: f.name,
+    label: f.label,
+    type: f.type,
+    length: f.length || undefined,
+    precision: f.precision || undefined,
+    scale: f.precision ? f.scale : undefined,
+    required: Boolean(!f.nillable && f.createable && !f.defaultedOnCreate),
+    updateable: f.updateable,
+    custom: f.custom || undefined,
+    externalId: f.externalId || undefined,
+    referenceTo: f.referenceTo?.length ? f.referenceTo : undefined,
+    relationshipName: f.relationshipName || undefined,
+    picklistValues: f.picklistValues?.length
+      ? f.picklistValues.filter((p) => p.active).map((p) => p.value)
+      : undefined,
+  };
+}
+
+function summarizeDescribe(describe, fields) {
+  return {
+    name: describe.name,
+    label: describe.label,
+    custom: describe.custom,
+    keyPrefix: describe.keyPrefix,
+    createable: describe.createable,
+    updateable: describe.updateable,
+    deletable: describe.deletable,
+    recordTypes: describe.recordTypeInfos
+      ?.filter((r) => !r.master)
+      .map((r) => r.developerName),
+    fieldCount: describe.fields.length,
+    fields: fields.map(summarizeField),
+  };
+}
+
+// ─── SOQL Validation ───────────────────────────────────────
+// A light SOQL reader: enough to find the object, field paths, child
+// subqueries and filters so they can be checked against the describe
+// before the query is sent. Anything it can't read is left to Salesforce.
+const SOQL_TOKEN =
+  /\s*(?:('(?:\\.|[^'\\])*')|(:\w+)|(\d{4}-\d{2}-\d{2}(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2}))?)|([A-Za-z_][\w.]*)|(-?\d+(?:\.\d+)?)|(<=|>=|!=|<>|[=<>(),:]))/y;
+const SOQL_CLAUSES = [
+  "WHERE",
+  "WITH",
+  "GROUP",
+  "ORDER",
+  "HAVING",
+  "LIMIT",
+  "OFFSET",
+  "FOR",
+  "USING",
+];
+const SOQL_OPERATORS = ["=", "!=", "<>", "<", ">", "<=", ">="];
+const SOQL_WORD_OPERATORS = ["LIKE", "IN", "NOT", "INCLUDES", "EXCLUDES"];
+const SOQL_ORDER_WORDS = ["ASC", "DESC", "NULLS", "FIRST", "LAST"];
+// A field path that is one of these means the reader lost its place.
+const SOQL_RESERVED = new Set([
+  ...SOQL_CLAUSES,
+  ...SOQL_WORD_OPERATORS,
+  ...SOQL_ORDER_WORDS,
+  "SELECT",
+  "FROM",
+  "BY",
+  "AND",
+  "OR",
+  "NULL",
+  "TRUE",
+  "FALSE",
+  "TYPEOF",
+  "WHEN",
+  "THEN",
+  "ELSE",
+  "END",
+  "FIELDS",
+  "ALL",
+  "STANDARD",
+  "CUSTOM",
+]);
+const LARGE_OBJECT_ROWS = 100000;
+const RECORD_COUNT_TTL_MS = 10 * 60 * 1000;
+const recordCounts = new Map();
+
+function tokenizeSoql(text) {
+  const kinds = ["string", "bind", "date", "ident", "number", "symbol"];
+  const tokens = [];
+  SOQL_TOKEN.lastIndex = 0;
+  while (SOQL_TOKEN.lastIndex < text.trimEnd().length) {
+    const m = SOQL_TOKEN.exec(text);
+    if (!m) return null;
+    const kind = kinds.findIndex((_, i) => m[i + 1] !== undefined);
+    tokens.push({ type: kinds[kind], value: m[kind + 1] });
+  }
+  return tokens;
+}
+
+function parseSoql(text) {
+  const tokens = tokenizeSoql(text);
+  if (!tokens) return null;
+  let pos = 0;
+  const peek = (offset = 0) => tokens[pos + offset];
+  const isWord = (t, ...words) =>
+    t?.type === "ident" && words.includes(t.value.toUpperCase());
+  const isSymbol = (t, symbol) => t?.type === "symbol" && t.value === symbol;
+  const expectSymbol = (symbol) => {
+    if (!isSymbol(peek(), symbol)) throw new Error(`${symbol} expected`);
+    pos++;
+  };
+
+  // Collects field paths inside a function call's parentheses.
+  function functionArgs() {
+    const fields = [];
+    expectSymbol("(");
+    for (let depth = 1; depth > 0; pos++) {
+      const t = peek();
+      if (!t) throw new Error(") expected");
+      if (isSymbol(t, "(")) depth++;
+      else if (isSymbol(t, ")")) depth--;
+      else if (t.type === "ident" && !isSymbol(peek(1), "(")) {
+        fields.push(t.value);
       }
-    });
+    }
+    return fields;
+  }
 
-    httpServer.on("error", (err) => {
-      if (!settled) {
-        settled = true;
-        reject(
-          new Error(
-            `Could not start login server on port ${CALLBACK_PORT}: ${err.message}. Is another sf login in progress?`
-          )
-        );
+  function parseQuery() {
+    if (!isWord(peek(), "SELECT")) throw new Error("SELECT expected");
+    pos++;
+    const query = {
+      fields: [],
+      subqueries: [],
+      semiJoins: [],
+      filters: [],
+      aliases: new Set(),
+      hasWhere: false,
+      hasOr: false,
+      hasLimit: false,
+      // One entry per open parenthesis in WHERE: whether it was negated.
+      groups: [],
+      negateNext: false,
+    };
+    const readAlias = () => {
+      const t = peek();
+      if (t?.type === "ident" && !isWord(t, "FROM")) {
+        query.aliases.add(t.value.toLowerCase());
+        pos++;
       }
-    });
+    };
+    for (;;) {
+      const t = peek();
+      if (isSymbol(t, "(")) {
+        pos++;
+        query.subqueries.push(parseQuery());
+        expectSymbol(")");
+      } else if (isWord(t, "TYPEOF")) {
+        while (peek() && !isWord(peek(), "END")) pos++;
+        pos++;
+      } else if (t?.type === "ident" && isSymbol(peek(1), "(")) {
+        pos++;
+        const args = functionArgs();
+        // FIELDS(ALL), FIELDS(STANDARD) and FIELDS(CUSTOM) take keywords.
+        if (!isWord(t, "FIELDS")) query.fields.push(...args);
+        readAlias();
+      } else if (t?.type === "ident") {
+        query.fields.push(t.value);
+        pos++;
+        readAlias();
+      } else {
+        throw new Error("Field expected");
+      }
+      if (!isSymbol(peek(), ",")) break;
+      pos++;
+    }
+    if (!isWord(peek(), "FROM")) throw new Error("FROM expected");
+    pos++;
+    if (peek()?.type !== "ident") throw new Error("Object expected");
+    query.object = peek().value;
+    pos++;
+    if (peek()?.type === "ident" && !isWord(peek(), ...SOQL_CLAUSES)) {
+      query.objectAlias = peek().value.toLowerCase();
+      pos++;
+    }
+    let clause = null;
+    while (peek() && !(isSymbol(peek(), ")") && !query.groups.length)) {
+      const t = peek();
+      if (isSymbol(t, ")")) {
+        query.groups.pop();
+        pos++;
+        continue;
+      }
+      if (isWord(t, "GROUP", "ORDER") && isWord(peek(1), "BY")) {
+        clause = t.value.toUpperCase();
+        pos += 2;
+        continue;
+      }
+      if (isWord(t, ...SOQL_CLAUSES)) {
+        clause = t.value.toUpperCase();
+        if (clause === "WHERE") query.hasWhere = true;
+        if (clause === "LIMIT") query.hasLimit = true;
+        pos++;
+        continue;
+      }
+      if (clause === "WHERE") {
+        readCondition(query);
+      } else if (clause === "ORDER" || clause === "GROUP") {
+        if (t.type === "ident" && isSymbol(peek(1), "(")) {
+          pos++;
+          query.fields.push(...functionArgs());
+          continue;
+        }
+        if (t.type === "ident" && !isWord(t, ...SOQL_ORDER_WORDS)) {
+          if (!query.aliases.has(t.value.toLowerCase())) {
+            query.fields.push(t.value);
+          }
+        }
+        pos++;
+      } else if (isSymbol(t, "(")) {
+        functionArgs();
+      } else {
+        pos++;
+      }
+    }
+    return query;
+  }
 
-    httpServer.listen(CALLBACK_PORT, () => {
-      const open =
-        process.platform === "darwin"
-          ? "open"
-          : process.platform === "win32"
-            ? "start"
-            : "xdg-open";
-      exec(`${open} "${authUrl}"`);
+  function readCondition(query) {
+    const t = peek();
+    if (isWord(t, "AND", "OR", "NOT")) {
+      if (isWord(t, "OR")) query.hasOr = true;
+      if (isWord(t, "NOT")) query.negateNext = true;
+      pos++;
+      return;
+    }
+    if (t.type === "ident" && isSymbol(peek(1), "(")) {
+      pos++;
+      query.fields.push(...functionArgs());
+      return;
+    }
+    if (isSymbol(t, "(")) {
+      if (isWord(peek(1), "SELECT")) {
+        pos++;
+        query.semiJoins.push(parseQuery());
+        expectSymbol(")");
+      } else {
+        query.groups.push(query.negateNext);
+        query.negateNext = false;
+        pos++;
+      }
+      return;
+    }
+    const next = peek(1);
+    const isOperator =
+      (next?.type === "symbol" && SOQL_OPERATORS.includes(next.value)) ||
+      isWord(next, ...SOQL_WORD_OPERATORS);
+    if (t.type !== "ident" || !isOperator) {
+      pos++;
+      return;
+    }
+    pos++;
+    let operator = peek().value.toUpperCase();
+    pos++;
+    if (operator === "NOT" && isWord(peek(), "IN", "LIKE")) {
+      operator = `NOT ${peek().value.toUpperCase()}`;
+      pos++;
+    }
+    const value = peek();
+    if (isSymbol(value, "(") && isWord(peek(1), "SELECT")) {
+      pos++;
+      query.semiJoins.push(parseQuery());
+      expectSymbol(")");
+    }
+    query.fields.push(t.value);
+    query.filters.push({
+      field: t.value,
+      operator,
+      value: value?.type === "symbol" ? undefined : value?.value,
+      negated: query.negateNext || query.groups.includes(true),
     });
+    query.negateNext = false;
+  }
 
-    setTimeout(() => {
-      if (!settled) {
-        settled = true;
-        httpServer.close();
-        reject(new Error("Login timed out after 2 minutes. Try again."));
-      }
-    }, 120000);
-  });
+  const confused = (query) =>
+    query.fields.some((path) =>
+      path.split(".").some((part) => SOQL_RESERVED.has(part.toUpperCase()))
+    ) || [...query.subqueries, ...query.semiJoins].some(confused);
+
+  try {
+    const query = parseQuery();
+    return pos === tokens.length && !confused(query) ? query : null;
+  } catch {
+    return null;
+  }
 }
 
-// ─── Tool Definitions ──────────────────────────────────────
-const TOOLS = [
-  {
-    name: "sf_org_login",
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+function closeMatches(name, candidates, limit = 3) {
+  const target = name.toLowerCase();
+  const limitDistance = Math.max(2, Math.floor(target.length / 3));
+  return candidates
+    .map((candidate) => {
+      const lower = candidate.toLowerCase();
+      const bare = lower.replace(/__[cr]$/, "").replace(/^[a-z0-9]+__/, "");
+      return {
+        candidate,
+        distance: Math.min(
+          editDistance(target, lower),
+          editDistance(target, bare)
+        ),
+      };
+    })
+    .filter((m) => m.distance <= limitDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map((m) => m.candidate);
+}
+
+function unknownName(message, name, candidates) {
+  const suggestions = closeMatches(name, candidates);
+  return {
+    message: suggestions.length
+      ? `${message}. Did you mean: ${suggestions.join(", ")}?`
+      : message,
+    suggestions,
+  };
+}
+
+// Walks a dotted path such as Account.Owner.Name from `describe`.
+async function checkFieldPath(orgAlias, describe, path, objectAlias) {
+  let segments = path.split(".");
+  if (segments.length > 1 && segments[0].toLowerCase() === objectAlias) {
+    segments = segments.slice(1);
+  }
+  let current = describe;
+  for (const [index, segment] of segments.entries()) {
+    const lower = segment.toLowerCase();
+    if (index === segments.length - 1) {
+      if (current.fields.some((f) => f.name.toLowerCase() === lower)) {
+        return null;
+      }
+      return {
+        path,
+        ...unknownName(
+          `No field ${segment} on ${current.name}`,
+          segment,
+          current.fields.map((f) => f.name)
+        ),
+      };
+    }
+    const relationship = current.fields.find(
+      (f) => f.relationshipName?.toLowerCase() === lower
+    );
+    if (!relationship) {
+      return {
+        path,
+        ...unknownName(
+          `No relationship ${segment} on ${current.name}`,
+          segment,
+          current.fields.map((f) => f.relationshipName).filter(Boolean)
+        ),
+      };
+    }
+    // Polymorphic lookups (Owner, What, Who) can't be checked further.
+    if (relationship.referenceTo.length !== 1) return null;
+    current = await describeSObject(orgAlias, relationship.referenceTo[0]);
+  }
+  return null;
+}
+
+function isIndexedField(field) {
+  return (
+    ["Id", "Name", "OwnerId", "CreatedDate", "SystemModstamp"].includes(
+      field.name
+    ) ||
+    field.type === "reference" ||
+    field.externalId ||
+    field.unique ||
+    field.idLookup
+  );
+}
+
+async function recordCount(orgAlias, sobject) {
+  const key = `${getOrg(orgAlias)._alias}:${sobject.toLowerCase()}`;
+  const cached = recordCounts.get(key);
+  if (cached && Date.now() - cached.at < RECORD_COUNT_TTL_MS) {
+    return cached.count;
+  }
+  const result = await sfApi(
+    orgAlias,
+    `/limits/recordCount?sObjects=${encodeURIComponent(sobject)}`
+  );
+  const count = result.sObjects?.[0]?.count ?? 0;
+  recordCounts.set(key, { count, at: Date.now() });
+  return count;
+}
+
+// Flags filters the query optimizer is unlikely to use an index for.
+async function selectivityWarnings(orgAlias, describe, query) {
+  let count;
+  try {
+    count = await recordCount(orgAlias, describe.name);
+  } catch {
+    return [];
+  }
+  if (count < LARGE_OBJECT_ROWS) return [];
+  const size = `${describe.name} has about ${count} records`;
+  if (!query.hasWhere) {
+    return query.hasLimit
+      ? []
+      : [`${size} and the query has no WHERE clause, so it scans them all.`];
+  }
+  const fieldsByName = new Map(
+    describe.fields.map((f) => [f.name.toLowerCase(), f])
+  );
+  const problems = [];
+  let selective = false;
+  for (const filter of query.filters) {
+    const field = fieldsByName.get(filter.field.toLowerCase());
+    const negative =
+      filter.negated || /^(!=|<>|NOT |EXCLUDES)/.test(filter.operator);
+    const leadingWildcard =
+      filter.operator === "LIKE" && /^'%/.test(filter.value || "");
+    const isNull = filter.value?.toLowerCase() === "null";
+    if (!field) problems.push(`${filter.field} is on a related object`);
+    else if (!isIndexedField(field)) problems.push(`${field.name} is not indexed`);
+    else if (negative) problems.push(`${field.name} is negated`);
+    else if (leadingWildcard) {
+      problems.push(`${field.name} uses LIKE with a leading wildcard`);
+    } else if (isNull) problems.push(`${field.name} is compared to null`);
+    else selective = true;
+  }
+  const warnings = [];
+  if (!selective) {
+    warnings.push(
+      `${size} and no filter is likely to be selective (${problems.join("; ") || "no usable filters"}). Use sf_query_check for the query plan.`
+    );
+  } else if (query.hasOr) {
+    warnings.push(
+      `${size}; OR conditions only use indexes when every branch filters on an indexed field.`
+    );
+  }
+  return warnings;
+}
+
+async function checkQuery(orgAlias, query, describe, errors) {
+  for (const path of new Set(query.fields)) {
+    const error = await checkFieldPath(
+      orgAlias,
+      describe,
+      path,
+      query.objectAlias
+    );
+    if (error) errors.push(error);
+  }
+  for (const sub of query.subqueries) {
+    const relationship = describe.childRelationships.find(
+      (r) => r.relationshipName?.toLowerCase() === sub.object.toLowerCase()
+    );
+    if (!relationship) {
+      errors.push({
+        path: sub.object,
+        ...unknownName(
+          `No child relationship ${sub.object} on ${describe.name}`,
+          sub.object,
+          describe.childRelationships
+            .map((r) => r.relationshipName)
+            .filter(Boolean)
+        ),
+      });
+      continue;
+    }
+    const child = await describeSObject(orgAlias, relationship.childSObject);
+    await checkQuery(orgAlias, sub, child, errors);
+  }
+  for (const semiJoin of query.semiJoins) {
+    const target = await describeQueryObject(orgAlias, semiJoin, errors);
+    if (target) await checkQuery(orgAlias, semiJoin, target, errors);
+  }
+}
+
+async function describeQueryObject(orgAlias, query, errors) {
+  const { sobjects } = await describeGlobal(orgAlias);
+  const match = sobjects.find(
+    (s) => s.name.toLowerCase() === query.object.toLowerCase()
+  );
+  if (!match) {
+    errors.push({
+      path: query.object,
+      ...unknownName(
+        `No sObject ${query.object}`,
+        query.object,
+        sobjects.map((s) => s.name)
+      ),
+    });
+    return null;
+  }
+  return describeSObject(orgAlias, match.name);
+}
+
+async function validateSoql(orgAlias, text) {
+  const query = parseSoql(text);
+  if (!query) {
+    return {
+      checked: false,
+      errors: [],
+      warnings: [
+        "The query could not be read locally, so its object and fields were not checked.",
+      ],
+    };
+  }
+  const errors = [];
+  const describe = await describeQueryObject(orgAlias, query, errors);
+  if (describe) await checkQuery(orgAlias, query, describe, errors);
+  const warnings =
+    describe && !errors.length
+      ? await selectivityWarnings(orgAlias, describe, query)
+      : [];
+  return { checked: true, errors, warnings };
+}
+
+async function explainSoql(orgAlias, text) {
+  const { plans = [] } = await sfApi(
+    orgAlias,
+    `/query?explain=${encodeURIComponent(text)}`
+  );
+  const summarized = plans.map((p) => ({
+    leadingOperationType: p.leadingOperationType,
+    relativeCost: p.relativeCost,
+    cardinality: p.cardinality,
+    sobjectCardinality: p.sobjectCardinality,
+    fields: p.fields,
+    notes: p.notes?.map((n) => n.description),
+  }));
+  const chosen = summarized[0];
+  return {
+    leadingOperationType: chosen?.leadingOperationType,
+    relativeCost: chosen?.relativeCost,
+    cardinality: chosen?.cardinality,
+    sobjectCardinality: chosen?.sobjectCardinality,
+    selective: chosen ? chosen.relativeCost < 1 : undefined,
+    plans: summarized,
+  };
+}
+
+// ─── Polling ───────────────────────────────────────────────
+// Sleeps are cut short when the tool call is cancelled.
+function sleep(ms) {
+  const signal = requestContext.getStore()?.signal;
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", cancel);
+      resolve();
+    }, ms);
+    const cancel = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", cancel, { once: true });
+  });
+}
+
+// Calls check() with backoff until isDone(result) or waitSeconds elapse, and
+// returns the last result either way.
+async function pollUntil(check, isDone, waitSeconds = DEFAULT_WAIT_SECONDS) {
+  const deadline = Date.now() + waitSeconds * 1000;
+  let delay = 1000;
+  for (;;) {
+    const result = await check();
+    const remaining = deadline - Date.now();
+    if (isDone(result) || remaining <= 0) return result;
+    await sleep(Math.min(delay, remaining));
+    delay = Math.min(delay * 2, 10000);
+  }
+}
+
+// ─── Bulk API 2.0 ──────────────────────────────────────────
+const BULK_OPERATIONS = ["insert", "update", "upsert", "delete", "hardDelete"];
+const BULK_DONE_STATES = ["JobComplete", "Failed", "Aborted"];
+
+// Bulk API reads "#N/A" as "set this field to null".
+function csvEscape(value, nullValue = "#N/A") {
+  if (value === undefined) return "";
+  if (value === null) return nullValue;
+  const str = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]|^\s|\s$/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(rows, nullValue) {
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  return [
+    columns.join(","),
+    ...rows.map((row) =>
+      columns.map((c) => csvEscape(row[c], nullValue)).join(",")
+    ),
+  ].join("\n");
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  const [header = [], ...data] = rows;
+  return data.map((values) =>
+    Object.fromEntries(header.map((h, i) => [h, values[i] ?? ""]))
+  );
+}
+
+async function bulkRequest(orgAlias, path, opts = {}) {
+  const res = await sfRawApi(
+    orgAlias,
+    `/services/data/v${API_VERSION}/jobs${path}`,
+    opts
+  );
+  if (!res.ok) throw new Error(await res.text());
+  return res;
+}
+
+function waitForBulkJob(orgAlias, kind, jobId, waitSeconds) {
+  return pollUntil(
+    async () => (await bulkRequest(orgAlias, `/${kind}/${jobId}`)).json(),
+    (job) => BULK_DONE_STATES.includes(job.state),
+    waitSeconds
+  );
+}
+
+async function bulkIngestResults(orgAlias, job, maxResults) {
+  const fetchRows = async (resource) => {
+    const res = await bulkRequest(orgAlias, `/ingest/${job.id}/${resource}`, {
+      headers: { Accept: "text/csv" },
+    });
+    const rows = parseCsv(await res.text());
+    return {
+      count: rows.length,
+      truncated: rows.length > maxResults,
+      records: rows.slice(0, maxResults),
+    };
+  };
+  return {
+    jobId: job.id,
+    state: job.state,
+    operation: job.operation,
+    object: job.object,
+    numberRecordsProcessed: job.numberRecordsProcessed,
+    numberRecordsFailed: job.numberRecordsFailed,
+    errorMessage: job.errorMessage,
+    successfulResults: await fetchRows("successfulResults"),
+    failedResults: await fetchRows("failedResults"),
+    unprocessedRecords: await fetchRows("unprocessedrecords"),
+  };
+}
+
+async function bulkQueryResults(orgAlias, job, maxRecords) {
+  const records = [];
+  let locator = "";
+  do {
+    const params = new URLSearchParams({ maxRecords: String(maxRecords) });
+    if (locator) params.set("locator", locator);
+    const res = await bulkRequest(
+      orgAlias,
+      `/query/${job.id}/results?${params}`,
+      { headers: { Accept: "text/csv" } }
+    );
+    records.push(...parseCsv(await res.text()));
+    locator = res.headers.get("Sforce-Locator");
+  } while (locator && locator !== "null" && records.length < maxRecords);
+  return {
+    jobId: job.id,
+    state: job.state,
+    numberRecordsProcessed: job.numberRecordsProcessed,
+    fetched: Math.min(records.length, maxRecords),
+    truncated:
+      records.length > maxRecords || Boolean(locator && locator !== "null"),
+    records: records.slice(0, maxRecords),
+  };
+}
+
+async function bulkIngest(orgAlias, opts) {
+  const { sobject, operation, data, externalIdField } = opts;
+  if (!BULK_OPERATIONS.includes(operation)) {
+    throw new Error(`operation must be one of: ${BULK_OPERATIONS.join(", ")}`);
+  }
+  if (operation === "upsert" && !externalIdField) {
+    throw new Error("external_id_field is required for upsert");
+  }
+  const csv = typeof data === "string" ? data : toCsv(data);
+  const job = await (
+    await bulkRequest(orgAlias, "/ingest", {
+      method: "POST",
+      body: {
+        object: sobject,
+        operation,
+        externalIdFieldName: externalIdField,
+        contentType: "CSV",
+        lineEnding: csv.includes("\r\n") ? "CRLF" : "LF",
+      },
+    })
+  ).json();
+  try {
+    await bulkRequest(orgAlias, `/ingest/${job.id}/batches`, {
+      method: "PUT",
+      headers: { "Content-Type": "text/csv" },
+      body: csv,
+    });
+  } catch (err) {
+    await bulkRequest(orgAlias, `/ingest/${job.id}`, {
+      method: "PATCH",
+      body: { state: "Aborted" },
+    }).catch(() => {});
+    throw err;
+  }
+  await bulkRequest(orgAlias, `/ingest/${job.id}`, {
+    method: "PATCH",
+    body: { state: "UploadComplete" },
+  });
+  return job.id;
+}
+
+async function bulkQuery(orgAlias, query, includeDeleted) {
+  const job = await (
+    await bulkRequest(orgAlias, "/query", {
+      method: "POST",
+      body: { operation: includeDeleted ? "queryAll" : "query", query },
+    })
+  ).json();
+  return job.id;
+}
+
+async function bulkJobResult(orgAlias, kind, jobId, opts = {}) {
+  const maxRecords = opts.maxRecords || DEFAULT_MAX_RECORDS;
+  const job = await waitForBulkJob(orgAlias, kind, jobId, opts.waitSeconds);
+  if (!BULK_DONE_STATES.includes(job.state)) {
+    return {
+      jobId,
+      state: job.state,
+      numberRecordsProcessed: job.numberRecordsProcessed,
+      message:
+        "Job still running. Check again later with sf_bulk_job_status.",
+    };
+  }
+  if (kind === "query") {
+    if (job.state !== "JobComplete") {
+      return { jobId, state: job.state, errorMessage: job.errorMessage };
+    }
+    return bulkQueryResults(orgAlias, job, maxRecords);
+  }
+  return bulkIngestResults(orgAlias, job, maxRecords);
+}
+
+// ─── sObject Collections & Composite ───────────────────────
+function normalizeErrors(errors) {
+  return (errors || []).map((e) => ({
+    code: e.statusCode || e.errorCode,
+    message: e.message,
+    fields: e.fields?.length ? e.fields : undefined,
+  }));
+}
+
+function summarizeCollectionResults(results) {
+  const rows = results.map((r, index) => ({
+    index,
+    id: r.id || undefined,
+    success: r.success,
+    created: r.created,
+    errors: r.success ? undefined : normalizeErrors(r.errors),
+  }));
+  return {
+    successCount: rows.filter((r) => r.success).length,
+    failureCount: rows.filter((r) => !r.success).length,
+    results: rows,
+  };
+}
+
+async function sfCollection(orgAlias, operation, opts) {
+  const { sobject, records = [], ids = [], allOrNone = false } = opts;
+  const count = operation === "delete" ? ids.length : records.length;
+  if (count === 0) throw new Error("Nothing to process");
+  if (count > COLLECTION_BATCH_LIMIT) {
+    throw new Error(
+      `At most ${COLLECTION_BATCH_LIMIT} records per call (got ${count}). Use sf_bulk_ingest for larger loads.`
+    );
+  }
+  if (operation === "delete") {
+    const params = new URLSearchParams({
+      ids: ids.join(","),
+      allOrNone: String(allOrNone),
+    });
+    return sfApi(orgAlias, `/composite/sobjects?${params}`, {
+      method: "DELETE",
+    });
+  }
+  const typed = records.map((r) => {
+    const type = r.attributes?.type || sobject;
+    if (!type) {
+      throw new Error("Provide sobject or attributes.type on every record");
+    }
+    return { ...r, attributes: { ...r.attributes, type } };
+  });
+  if (operation === "update" && typed.some((r) => !r.Id)) {
+    throw new Error("Every record needs an Id for update");
+  }
+  return sfApi(orgAlias, "/composite/sobjects", {
+    method: operation === "create" ? "POST" : "PATCH",
+    body: { allOrNone, records: typed },
+  });
+}
+
+async function assertExternalIdField(orgAlias, sobject, fieldName) {
+  const describe = await describeSObject(orgAlias, sobject);
+  const field = describe.fields.find(
+    (f) => f.name.toLowerCase() === fieldName.toLowerCase()
+  );
+  if (!field) {
+    throw new Error(`Field ${fieldName} does not exist on ${describe.name}`);
+  }
+  if (!field.externalId && field.name !== "Id") {
+    throw new Error(
+      `${describe.name}.${field.name} is not an external ID field and cannot be used for upsert`
+    );
+  }
+  return field.name;
+}
+
+async function sfUpsert(orgAlias, sobject, opts) {
+  const { externalIdField, records, allOrNone = false } = opts;
+  const field = await assertExternalIdField(orgAlias, sobject, externalIdField);
+  if (records.length > COLLECTION_BATCH_LIMIT) {
+    throw new Error(
+      `At most ${COLLECTION_BATCH_LIMIT} records per call (got ${records.length}). Use sf_bulk_ingest for larger loads.`
+    );
+  }
+  if (records.some((r) => r[field] == null || r[field] === "")) {
+    throw new Error(`Every record needs a value for ${field}`);
+  }
+  return sfApi(orgAlias, `/composite/sobjects/${sobject}/${field}`, {
+    method: "PATCH",
+    body: {
+      allOrNone,
+      records: records.map((r) => ({
+        ...r,
+        attributes: { ...r.attributes, type: sobject },
+      })),
+    },
+  });
+}
+
+function summarizeCompositeResponse(responses) {
+  return responses.map((r) => {
+    const success = r.httpStatusCode < 300;
+    return {
+      referenceId: r.referenceId,
+      httpStatusCode: r.httpStatusCode,
+      success,
+      id: success ? r.body?.id : undefined,
+      errors: success
+        ? undefined
+        : normalizeErrors(Array.isArray(r.body) ? r.body : [r.body]),
+      body: success && !r.body?.id ? r.body : undefined,
+    };
+  });
+}
+
+async function sfComposite(orgAlias, requests, opts = {}) {
+  const compositeRequest = requests.map((r, i) => ({
+    method: r.method || "GET",
+    url: r.url.startsWith("/services/")
+      ? r.url
+      : `/services/data/v${API_VERSION}${r.url}`,
+    referenceId: r.referenceId || `ref${i}`,
+    body: r.body,
+  }));
+  if (opts.graph) {
+    const result = await sfApi(orgAlias, "/composite/graph", {
+      method: "POST",
+      body: { graphs: [{ graphId: "graph1", compositeRequest }] },
+    });
+    const graph = result.graphs[0];
+    const responses = graph.graphResponse.compositeResponse;
+    return {
+      success: graph.isSuccessful,
+      results: summarizeCompositeResponse(responses),
+    };
+  }
+  const result = await sfApi(orgAlias, "/composite", {
+    method: "POST",
+    body: { allOrNone: opts.allOrNone ?? true, compositeRequest },
+  });
+  const results = summarizeCompositeResponse(result.compositeResponse);
+  return { success: results.every((r) => r.success), results };
+}
+
+// ─── Streaming ─────────────────────────────────────────────
+// Bayeux (CometD) long polling against /cometd/<version>, the transport
+// behind Platform Events, Change Data Capture and PushTopics. Each call
+// handshakes, subscribes from a replay id, collects events for a bounded
+// window and disconnects.
+const STREAM_WINDOW_SECONDS = 60;
+const STREAM_MAX_WINDOW_SECONDS = 600;
+const STREAM_MAX_EVENTS = 100;
+const STREAM_POLL_MS = 110000;
+const STREAM_MAX_HANDSHAKES = 3;
+const REPLAY_NEW = -1;
+
+function streamChannel(channel) {
+  if (channel.startsWith("/")) return channel;
+  if (/__e$/i.test(channel)) return `/event/${channel}`;
+  if (/ChangeEvents?$/.test(channel)) return `/data/${channel}`;
+  return `/topic/${channel}`;
+}
+
+const isStreamAuthError = (reply) => /^401::/.test(reply?.error || "");
+
+async function cometd(session, messages) {
+  const cookie = [...session.cookies]
+    .map(([name, value]) => `${name}=${value}`)
+    .join("; ");
+  const res = await sfRawApi(session.alias, `/cometd/${API_VERSION}`, {
+    method: "POST",
+    headers: cookie ? { Cookie: cookie } : {},
+    body: messages,
+  });
+  // The BAYEUX_BROWSER cookie ties the long polls to one server session.
+  for (const header of res.headers.getSetCookie?.() ?? []) {
+    const [pair] = header.split(";");
+    const split = pair.indexOf("=");
+    session.cookies.set(pair.slice(0, split).trim(), pair.slice(split + 1));
+  }
+  const data = await res.json().catch(() => null);
+  if (!res.ok || !Array.isArray(data)) {
+    throw new Error(
+      `Streaming request failed (${res.status}): ${JSON.stringify(data)}`
+    );
+  }
+  return data;
+}
+
+// Handshakes and subscribes; returns the first unsuccessful reply, if any.
+async function cometdSubscribe(session, channel, replayId) {
+  session.clientId = null;
+  const [handshake] = await cometd(session, [
+    {
+      channel: "/meta/handshake",
+      version: "1.0",
+      minimumVersion: "1.0",
+      supportedConnectionTypes: ["long-polling"],
+      ext: { replay: true },
+    },
+  ]);
+  if (!handshake?.successful) return handshake;
+  session.clientId = handshake.clientId;
+  const replies = await cometd(session, [
+    {
+      channel: "/meta/subscribe",
+      clientId: session.clientId,
+      subscription: channel,
+      ext: { replay: { [channel]: replayId } },
+    },
+  ]);
+  const subscribe = replies.find((m) => m.channel === "/meta/subscribe");
+  return subscribe?.successful ? null : subscribe;
+}
+
+function streamEvent(message) {
+  const { event = {}, payload, sobject } = message.data;
+  return {
+    replayId: event.replayId,
+    createdDate: event.createdDate || payload?.CreatedDate,
+    type: event.type,
+    payload: payload || sobject,
+  };
+}
+
+async function streamEvents(orgAlias, channel, opts = {}) {
+  const { maxEvents = STREAM_MAX_EVENTS, replayId = REPLAY_NEW } = opts;
+  const windowSeconds = Math.min(
+    opts.windowSeconds || STREAM_WINDOW_SECONDS,
+    STREAM_MAX_WINDOW_SECONDS
+  );
+  const session = { alias: getOrg(orgAlias)._alias, cookies: new Map() };
+  const events = [];
+  let lastReplayId = replayId;
+  let handshakes = 0;
+
+  // Expired sessions come back as 401 inside the Bayeux reply rather than
+  // as an HTTP status, so refresh here the way sfApi does for HTTP 401s.
+  const connect = async () => {
+    for (;;) {
+      handshakes++;
+      const failure = await cometdSubscribe(session, channel, lastReplayId);
+      if (!failure) return;
+      const org = getOrg(session.alias);
+      if (
+        !isStreamAuthError(failure) ||
+        !canRefresh(org) ||
+        handshakes >= STREAM_MAX_HANDSHAKES
+      ) {
+        throw new Error(
+          `Could not subscribe to ${channel}: ${failure?.error || "no reply"}`
+        );
+      }
+      await refreshToken(org);
+    }
+  };
+
+  await connect();
+  const deadline = Date.now() + windowSeconds * 1000;
+  let stoppedBy = "window";
+  try {
+    while (Date.now() < deadline) {
+      const replies = await cometd(session, [
+        {
+          channel: "/meta/connect",
+          clientId: session.clientId,
+          connectionType: "long-polling",
+          advice: {
+            timeout: Math.min(
+              STREAM_POLL_MS,
+              REQUEST_TIMEOUT_MS - 5000,
+              deadline - Date.now()
+            ),
+          },
+        },
+      ]);
+      for (const message of replies) {
+        if (message.channel.startsWith("/meta/") || !message.data) continue;
+        const event = streamEvent(message);
+        events.push(event);
+        lastReplayId = event.replayId ?? lastReplayId;
+      }
+      if (events.length >= maxEvents) {
+        stoppedBy = "count";
+        break;
+      }
+      const status = replies.find((m) => m.channel === "/meta/connect");
+      if (status && !status.successful) {
+        if (status.advice?.reconnect === "none") {
+          throw new Error(`Streaming connection closed: ${status.error}`);
+        }
+        if (handshakes >= STREAM_MAX_HANDSHAKES) {
+          throw new Error(`Streaming connection lost: ${status.error}`);
+        }
+        const org = getOrg(session.alias);
+        if (isStreamAuthError(status) && canRefresh(org)) {
+          await refreshToken(org);
+        }
+        await connect();
+      }
+    }
+  } finally {
+    if (session.clientId) {
+      await cometd(session, [
+        { channel: "/meta/disconnect", clientId: session.clientId },
+      ]).catch(() => {});
+    }
+  }
+  const captured = events.slice(0, maxEvents);
+  return {
+    channel,
+    stoppedBy,
+    eventCount: captured.length,
+    lastReplayId: captured.at(-1)?.replayId ?? replayId,
+    events: captured,
+  };
+}
+
+async function publishEvents(orgAlias, event, messages) {
+  if (!/__e$/i.test(event)) {
+    throw new Error(`${event} is not a platform event (expected an __e name)`);
+  }
+  const results = await sfCollection(orgAlias, "create", {
+    sobject: event,
+    records: messages,
+  });
+  return summarizeCollectionResults(results);
+}
+
+// ─── Zip Archives ──────────────────────────────────────────
+// Minimal zip reader/writer (deflate via node:zlib) so metadata packages need
+// no external tools.
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (const byte of buf) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createZip(entries) {
+  const now = new Date();
+  const dosTime =
+    (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate =
+    ((now.getFullYear() - 1980) << 9) |
+    ((now.getMonth() + 1) << 5) |
+    now.getDate();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, data } of entries) {
+    const nameBuf = Buffer.from(name, "utf8");
+    const compressed = deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(dosTime, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    locals.push(local, nameBuf, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(dosTime, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuf);
+
+    offset += local.length + nameBuf.length + compressed.length;
+  }
+  const centralSize = centrals.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+function readZip(buf) {
+  let end = buf.length - 22;
+  while (end >= 0 && buf.readUInt32LE(end) !== 0x06054b50) end--;
+  if (end < 0) throw new Error("Invalid zip archive");
+  const count = buf.readUInt16LE(end + 10);
+  let pos = buf.readUInt32LE(end + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (buf.readUInt32LE(pos) !== 0x02014b50) {
+      throw new Error("Corrupt zip central directory");
+    }
+    const method = buf.readUInt16LE(pos + 10);
+    const compressedSize = buf.readUInt32LE(pos + 20);
+    const nameLen = buf.readUInt16LE(pos + 28);
+    const extraLen = buf.readUInt16LE(pos + 30);
+    const commentLen = buf.readUInt16LE(pos + 32);
+    const localOffset = buf.readUInt32LE(pos + 42);
+    const name = buf.toString("utf8", pos + 46, pos + 46 + nameLen);
+    pos += 46 + nameLen + extraLen + commentLen;
+    if (name.endsWith("/")) continue;
+
+    const dataStart =
+      localOffset +
+      30 +
+      buf.readUInt16LE(localOffset + 26) +
+      buf.readUInt16LE(localOffset + 28);
+    const raw = buf.subarray(dataStart, dataStart + compressedSize);
+    if (method !== 0 && method !== 8) {
+      throw new Error(`Unsupported zip compression method ${method}`);
+    }
+    entries.push({ name, data: method === 8 ? inflateRawSync(raw) : raw });
+  }
+  return entries;
+}
+
+function listFiles(dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(full) : [full];
+  });
+}
+
+function zipDirectory(dir) {
+  return createZip(
+    listFiles(dir).map((file) => ({
+      name: relative(dir, file).split(sep).join("/"),
+      data: readFileSync(file),
+    }))
+  );
+}
+
+function unzipToDirectory(buf, dir) {
+  const root = resolve(dir);
+  return readZip(buf).map(({ name, data }) => {
+    const target = resolve(root, name);
+    if (target !== root && !target.startsWith(root + sep)) {
+      throw new Error(`Zip entry escapes target directory: ${name}`);
+    }
+    mkdirSync(dirname(target), { recursive: true });
+    writeFileSync(target, data);
+    return name;
+  });
+}
+
+// ─── XML ───────────────────────────────────────────────────
+const XML_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function xmlUnescape(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => {
+    if (e[0] !== "#") return XML_ENTITIES[e] ?? m;
+    return String.fromCodePoint(
+      e[1].toLowerCase() === "x"
+        ? parseInt(e.slice(2), 16)
+        : Number(e.slice(1))
+    );
+  });
+}
+
+// Serializes a plain object into elements; arrays become repeated elements
+// and undefined values are skipped.
+function toXml(obj) {
+  return Object.entries(obj)
+    .flatMap(([key, value]) =>
+      (Array.isArray(value) ? value : [value])
+        .filter((v) => v !== undefined)
+        .map((v) =>
+          v !== null && typeof v === "object"
+            ? `<${key}>${toXml(v)}</${key}>`
+            : `<${key}>${xmlEscape(v)}</${key}>`
+        )
+    )
+    .join("");
+}
+
+// Parses XML into plain objects keyed by local element name. Leaf elements
+// become strings, repeated elements become arrays; attributes are dropped.
+function parseXml(text) {
+  const root = { children: {} };
+  const stack = [root];
+  const tagRe = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:.-]+)[^>]*?(\/?)>|([^<]+)/g;
+  let m;
+  while ((m = tagRe.exec(text))) {
+    const [, cdata, closing, tag, selfClosing, chars] = m;
+    const top = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      top.text = (top.text || "") + cdata;
+    } else if (chars !== undefined) {
+      top.text = (top.text || "") + xmlUnescape(chars);
+    } else if (tag && closing) {
+      const node = stack.pop();
+      const parent = stack[stack.length - 1];
+      const name = tag.split(":").pop();
+      const value = Object.keys(node.children).length
+        ? node.children
+        : (node.text || "").trim();
+      const existing = parent.children[name];
+      if (existing === undefined) parent.children[name] = value;
+      else if (Array.isArray(existing)) existing.push(value);
+      else parent.children[name] = [existing, value];
+    } else if (tag) {
+      if (selfClosing) {
+        const name = tag.split(":").pop();
+        const existing = top.children[name];
+        if (existing === undefined) top.children[name] = "";
+        else if (Array.isArray(existing)) existing.push("");
+        else top.children[name] = [existing, ""];
+      } else {
+        stack.push({ children: {} });
+      }
+    }
+  }
+  return root.children;
+}
+
+const asArray = (value) =>
+  value == null || value === "" ? [] : Array.isArray(value) ? value : [value];
+
+// ─── Metadata API ──────────────────────────────────────────
+const METADATA_NS = "http://soap.sforce.com/2006/04/metadata";
+const DEPLOY_TEST_LEVELS = [
+  "NoTestRun",
+  "RunSpecifiedTests",
+  "RunLocalTests",
+  "RunAllTestsInOrg",
+];
+
+// Calls a SOAP API operation (Metadata or Partner) with the org's session.
+async function sfSoap(orgAlias, { path, namespace, operation, body }) {
+  const org = getOrg(orgAlias);
+  const url = `${org.instanceUrl}${path}`;
+  const doFetch = (token) =>
+    sfFetch(org._alias, url, {
+      method: "POST",
+      headers: { "Content-Type": "text/xml; charset=utf-8", SOAPAction: '""' },
+      body: [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns="${namespace}">`,
+        `<soapenv:Header><SessionHeader><sessionId>${xmlEscape(token)}</sessionId></SessionHeader></soapenv:Header>`,
+        `<soapenv:Body><${operation}>${toXml(body)}</${operation}></soapenv:Body>`,
+        "</soapenv:Envelope>",
+      ].join(""),
+    });
+
+  let res = await doFetch(org.accessToken);
+  let parsed = parseXml(await res.text());
+  const isInvalidSession = (p) =>
+    /INVALID_SESSION_ID/.test(p.Envelope?.Body?.Fault?.faultcode || "");
+  if (isInvalidSession(parsed) && canRefresh(org)) {
+    res = await doFetch(await refreshToken(org));
+    parsed = parseXml(await res.text());
+  }
+  const fault = parsed.Envelope?.Body?.Fault;
+  if (fault) throw new Error(`${fault.faultcode}: ${fault.faultstring}`);
+  return parsed.Envelope.Body[`${operation}Response`]?.result;
+}
+
+function sfMetadataSoap(orgAlias, operation, body) {
+  return sfSoap(orgAlias, {
+    path: `/services/Soap/m/${API_VERSION}`,
+    namespace: METADATA_NS,
+    operation,
+    body,
+  });
+}
+
+// Groups [{ type, members }] into package.xml <types> entries.
+function packageTypes(components) {
+  const byType = new Map();
+  for (const { type, members } of components) {
+    const list = byType.get(type) || [];
+    list.push(...asArray(members));
+    byType.set(type, list);
+  }
+  return [...byType].map(([name, members]) => ({
+    members: members.length ? [...new Set(members)] : ["*"],
+    name,
+  }));
+}
+
+function buildPackageXml(components) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<Package xmlns="${METADATA_NS}">`,
+    toXml({ types: packageTypes(components), version: API_VERSION }),
+    "</Package>",
+    "",
+  ].join("\n");
+}
+
+async function metadataRetrieve(orgAlias, opts) {
+  const { components, targetDir, waitSeconds } = opts;
+  const { id } = await sfMetadataSoap(orgAlias, "retrieve", {
+    retrieveRequest: {
+      apiVersion: API_VERSION,
+      singlePackage: true,
+      unpackaged: { types: packageTypes(components), version: API_VERSION },
+    },
+  });
+  const result = await pollUntil(
+    () =>
+      sfMetadataSoap(orgAlias, "checkRetrieveStatus", {
+        asyncProcessId: id,
+        includeZip: true,
+      }),
+    (r) => r.done === "true",
+    waitSeconds
+  );
+  const messages = asArray(result.messages).map((m) => ({
+    fileName: m.fileName,
+    problem: m.problem,
+  }));
+  if (result.done !== "true") {
+    return { id, status: result.status, message: "Retrieve still running." };
+  }
+  if (result.status !== "Succeeded" || !result.zipFile) {
+    return {
+      id,
+      status: result.status,
+      errorMessage: result.errorMessage,
+      messages,
+    };
+  }
+  const files = unzipToDirectory(
+    Buffer.from(result.zipFile, "base64"),
+    targetDir
+  );
+  return { id, status: result.status, targetDir, files, messages };
+}
+
+async function metadataDeploy(orgAlias, opts) {
+  const { sourceDir, components, checkOnly, testLevel, runTests } = opts;
+  const root = resolve(sourceDir);
+  let zip;
+  if (existsSync(join(root, "package.xml"))) {
+    zip = zipDirectory(root);
+  } else if (components?.length) {
+    zip = createZip([
+      ...listFiles(root).map((file) => ({
+        name: relative(root, file).split(sep).join("/"),
+        data: readFileSync(file),
+      })),
+      { name: "package.xml", data: Buffer.from(buildPackageXml(components)) },
+    ]);
+  } else {
+    throw new Error(
+      `${root} has no package.xml. Add one or pass components to generate it.`
+    );
+  }
+  if (testLevel && !DEPLOY_TEST_LEVELS.includes(testLevel)) {
+    throw new Error(
+      `test_level must be one of: ${DEPLOY_TEST_LEVELS.join(", ")}`
+    );
+  }
+  const { id } = await sfMetadataSoap(orgAlias, "deploy", {
+    ZipFile: zip.toString("base64"),
+    DeployOptions: {
+      checkOnly: Boolean(checkOnly),
+      rollbackOnError: true,
+      runTests: runTests?.length ? runTests : undefined,
+      singlePackage: true,
+      testLevel: testLevel || undefined,
+    },
+  });
+  return id;
+}
+
+function summarizeDeployResult(result) {
+  const details = result.details || {};
+  const tests = details.runTestResult || {};
+  return {
+    id: result.id,
+    done: result.done === "true",
+    status: result.status,
+    success: result.success === "true",
+    checkOnly: result.checkOnly === "true",
+    errorMessage: result.errorMessage || undefined,
+    components: {
+      deployed: Number(result.numberComponentsDeployed || 0),
+      errors: Number(result.numberComponentErrors || 0),
+      total: Number(result.numberComponentsTotal || 0),
+    },
+    tests: {
+      completed: Number(result.numberTestsCompleted || 0),
+      errors: Number(result.numberTestErrors || 0),
+      total: Number(result.numberTestsTotal || 0),
+    },
+    componentFailures: asArray(details.componentFailures).map((f) => ({
+      type: f.componentType,
+      fullName: f.fullName,
+      fileName: f.fileName,
+      line: f.lineNumber ? Number(f.lineNumber) : undefined,
+      column: f.columnNumber ? Number(f.columnNumber) : undefined,
+      problem: f.problem,
+    })),
+    testFailures: asArray(tests.failures).map((f) => ({
+      class: f.name,
+      method: f.methodName,
+      message: f.message,
+      stackTrace: f.stackTrace,
+    })),
+    coverageWarnings: asArray(tests.codeCoverageWarnings).map((w) => ({
+      name: w.name || undefined,
+      message: w.message,
+    })),
+  };
+}
+
+async function metadataDeployStatus(orgAlias, id, waitSeconds) {
+  const result = await pollUntil(
+    () =>
+      sfMetadataSoap(orgAlias, "checkDeployStatus", {
+        asyncProcessId: id,
+        includeDetails: true,
+      }),
+    (r) => r.done === "true",
+    waitSeconds
+  );
+  return summarizeDeployResult(result);
+}
+
+// ─── Apex Source ───────────────────────────────────────────
+// Reads source through the Tooling API and saves it the way the Developer
+// Console does: a MetadataContainer holding one *Member record, compiled
+// by a ContainerAsyncRequest.
+const SOURCE_TYPES = {
+  ApexClass: {
+    member: "ApexClassMember",
+    field: "Body",
+    stub: (name) => ({ Body: `public class ${name} {}` }),
+  },
+  ApexTrigger: {
+    member: "ApexTriggerMember",
+    field: "Body",
+    stub: (name, body) => {
+      const sobject = body.match(/^\s*trigger\s+\w+\s+on\s+(\w+)/i)?.[1];
+      if (!sobject) {
+        throw new Error(
+          "Trigger body must start with: trigger Name on SObject"
+        );
+      }
+      return {
+        Body: `trigger ${name} on ${sobject} (before insert) {}`,
+        TableEnumOrId: sobject,
+      };
+    },
+  },
+  ApexPage: {
+    member: "ApexPageMember",
+    field: "Markup",
+    stub: (name) => ({
+      Name: name,
+      MasterLabel: name,
+      Markup: "<apex:page></apex:page>",
+    }),
+  },
+  ApexComponent: {
+    member: "ApexComponentMember",
+    field: "Markup",
+    stub: (name) => ({
+      Name: name,
+      MasterLabel: name,
+      Markup: "<apex:component></apex:component>",
+    }),
+  },
+};
+const BUNDLE_TYPES = {
+  LightningComponentBundle: {
+    resource: "LightningComponentResource",
+    bundleField: "LightningComponentBundleId",
+    fields: "FilePath, Format, Source",
+    file: (r) => ({ path: r.FilePath, format: r.Format, source: r.Source }),
+  },
+  AuraDefinitionBundle: {
+    resource: "AuraDefinition",
+    bundleField: "AuraDefinitionBundleId",
+    fields: "DefType, Format, Source",
+    file: (r) => ({ defType: r.DefType, format: r.Format, source: r.Source }),
+  },
+};
+const COMPILE_DONE_STATES = [
+  "Completed",
+  "Failed",
+  "Error",
+  "Aborted",
+  "Invalidated",
+];
+
+async function findSourceRecord(orgAlias, type, name) {
+  const { field } = SOURCE_TYPES[type];
+  const { records } = await sfQueryAll(
+    orgAlias,
+    `SELECT Id, Name, ${field}, ApiVersion, Status, LastModifiedDate, LastModifiedBy.Name FROM ${type} WHERE Name = ${soqlString(name)} AND NamespacePrefix = null`,
+    { tooling: true }
+  );
+  return records[0];
+}
+
+async function fetchSource(orgAlias, type, name) {
+  if (BUNDLE_TYPES[type]) {
+    const bundleType = BUNDLE_TYPES[type];
+    const { records } = await sfQueryAll(
+      orgAlias,
+      `SELECT Id, DeveloperName, ApiVersion, LastModifiedDate FROM ${type} WHERE DeveloperName = ${soqlString(name)}`,
+      { tooling: true }
+    );
+    if (!records.length) throw new Error(`${type} not found: ${name}`);
+    const bundle = records[0];
+    const files = await sfQueryAll(
+      orgAlias,
+      `SELECT ${bundleType.fields} FROM ${bundleType.resource} WHERE ${bundleType.bundleField} = ${soqlString(bundle.Id)}`,
+      { tooling: true }
+    );
+    return {
+      type,
+      id: bundle.Id,
+      name: bundle.DeveloperName,
+      apiVersion: bundle.ApiVersion,
+      lastModifiedDate: bundle.LastModifiedDate,
+      files: files.records.map(bundleType.file),
+    };
+  }
+  if (!SOURCE_TYPES[type]) throw new Error(`Unsupported source type: ${type}`);
+  const record = await findSourceRecord(orgAlias, type, name);
+  if (!record) throw new Error(`${type} not found: ${name}`);
+  return {
+    type,
+    id: record.Id,
+    name: record.Name,
+    apiVersion: record.ApiVersion,
+    status: record.Status,
+    lastModifiedDate: record.LastModifiedDate,
+    lastModifiedBy: record.LastModifiedBy?.Name,
+    body: record[SOURCE_TYPES[type].field],
+  };
+}
+
+// Creates a minimal placeholder so a new component can go through the
+// same container compile as an existing one.
+async function createSourceStub(orgAlias, type, name, body) {
+  const result = await sfApi(orgAlias, `/tooling/sobjects/${type}`, {
+    method: "POST",
+    body: SOURCE_TYPES[type].stub(name, body),
+  });
+  return result.id;
+}
+
+function deleteToolingRecord(orgAlias, type, id) {
+  return sfApi(orgAlias, `/tooling/sobjects/${type}/${id}`, {
+    method: "DELETE",
+  }).catch(() => {});
+}
+
+function compileErrors(request) {
+  const failures = request.DeployDetails?.componentFailures || [];
+  const errors = failures.map((f) => ({
+    line: f.lineNumber,
+    column: f.columnNumber,
+    problem: f.problem,
+    problemType: f.problemType,
+    fileName: f.fileName,
+  }));
+  if (!errors.length && request.ErrorMsg) {
+    errors.push({ problem: request.ErrorMsg });
+  }
+  return errors;
+}
+
+async function saveSource(orgAlias, type, name, body, opts = {}) {
+  const { checkOnly, waitSeconds } = opts;
+  const sourceType = SOURCE_TYPES[type];
+  if (!sourceType) {
+    throw new Error(
+      `Saving is supported for ${Object.keys(SOURCE_TYPES).join(", ")}`
+    );
+  }
+  let entityId = (await findSourceRecord(orgAlias, type, name))?.Id;
+  const created = !entityId;
+  if (created) {
+    if (checkOnly) {
+      throw new Error(
+        `${type} ${name} does not exist yet; save it without check_only to create it`
+      );
+    }
+    entityId = await createSourceStub(orgAlias, type, name, body);
+  }
+  const container = await sfApi(
+    orgAlias,
+    "/tooling/sobjects/MetadataContainer",
+    { method: "POST", body: { Name: `SFClaude${Date.now().toString(36)}` } }
+  );
+  let request;
+  try {
+    await sfApi(orgAlias, `/tooling/sobjects/${sourceType.member}`, {
+      method: "POST",
+      body: {
+        MetadataContainerId: container.id,
+        ContentEntityId: entityId,
+        [sourceType.field]: body,
+      },
+    });
+    const { id } = await sfApi(
+      orgAlias,
+      "/tooling/sobjects/ContainerAsyncRequest",
+      {
+        method: "POST",
+        body: { MetadataContainerId: container.id, IsCheckOnly: !!checkOnly },
+      }
+    );
+    request = await pollUntil(
+      () => sfApi(orgAlias, `/tooling/sobjects/ContainerAsyncRequest/${id}`),
+      (r) => COMPILE_DONE_STATES.includes(r.State),
+      waitSeconds
+    );
+  } finally {
+    // Deleting the container would cancel a compile that is still queued.
+    const finished = !request || COMPILE_DONE_STATES.includes(request.State);
+    if (finished) {
+      await deleteToolingRecord(orgAlias, "MetadataContainer", container.id);
+    }
+    // Don't leave a placeholder behind when a new component fails to save.
+    if (finished && created && request?.State !== "Completed") {
+      await deleteToolingRecord(orgAlias, type, entityId);
+    }
+  }
+  const result = {
+    type,
+    name,
+    id: entityId,
+    state: request.State,
+    checkOnly: !!checkOnly,
+  };
+  if (!COMPILE_DONE_STATES.includes(request.State)) {
+    return {
+      ...result,
+      requestId: request.Id,
+      message: `Still compiling; query ContainerAsyncRequest ${request.Id} with the Tooling API to follow it.`,
+    };
+  }
+  if (request.State === "Completed") {
+    return { ...result, created, success: true };
+  }
+  return { ...result, success: false, errors: compileErrors(request) };
+}
+
+// ─── Apex Tests ────────────────────────────────────────────
+const TEST_QUEUE_DONE = ["Completed", "Failed", "Aborted"];
+
+function buildTestRequest({ classNames, testMethods, testLevel }) {
+  const byClass = new Map();
+  for (const name of classNames) byClass.set(name, null);
+  for (const qualified of testMethods) {
+    const dot = qualified.lastIndexOf(".");
+    if (dot < 1) {
+      throw new Error(`Test method "${qualified}" must be Class.method`);
+    }
+    const className = qualified.slice(0, dot);
+    if (byClass.has(className) && byClass.get(className) === null) continue;
+    byClass.set(className, [
+      ...(byClass.get(className) || []),
+      qualified.slice(dot + 1),
+    ]);
+  }
+  if (byClass.size) {
+    return {
+      tests: [...byClass].map(([className, methods]) =>
+        methods ? { className, testMethods: methods } : { className }
+      ),
+    };
+  }
+  if (testLevel) return { testLevel };
+  throw new Error("Provide class_names, test_methods or test_level");
+}
+
+async function testRunStatus(orgAlias, jobId) {
+  const { records } = await sfQueryAll(
+    orgAlias,
+    `SELECT ApexClass.Name, Status, ExtendedStatus FROM ApexTestQueueItem WHERE ParentJobId = ${soqlString(jobId)}`,
+    { tooling: true }
+  );
+  const done = records.filter((r) => TEST_QUEUE_DONE.includes(r.Status));
+  return {
+    done: records.length > 0 && done.length === records.length,
+    classesCompleted: done.length,
+    classesTotal: records.length,
+    aborted: records.some((r) => r.Status === "Aborted"),
+  };
+}
+
+async function testRunCoverage(orgAlias, testClassIds) {
+  const [orgWide, perRun] = await Promise.all([
+    sfQueryAll(orgAlias, "SELECT PercentCovered FROM ApexOrgWideCoverage", {
+      tooling: true,
+    }),
+    testClassIds.length
+      ? sfQueryAll(
+          orgAlias,
+          `SELECT ApexClassOrTriggerId FROM ApexCodeCoverage WHERE ApexTestClassId IN (${testClassIds.map(soqlString).join(",")})`,
+          { tooling: true, maxRecords: 50000 }
+        )
+      : { records: [] },
+  ]);
+  const covered = [
+    ...new Set(perRun.records.map((r) => r.ApexClassOrTriggerId)),
+  ];
+  let classes = [];
+  if (covered.length) {
+    const { records } = await sfQueryAll(
+      orgAlias,
+      `SELECT ApexClassOrTrigger.Name, NumLinesCovered, NumLinesUncovered FROM ApexCodeCoverageAggregate WHERE ApexClassOrTriggerId IN (${covered.map(soqlString).join(",")})`,
+      { tooling: true, maxRecords: 50000 }
+    );
+    classes = records
+      .map((r) => {
+        const lines = r.NumLinesCovered + r.NumLinesUncovered;
+        return {
+          name: r.ApexClassOrTrigger?.Name,
+          linesCovered: r.NumLinesCovered,
+          linesUncovered: r.NumLinesUncovered,
+          percent: lines
+            ? Math.round((r.NumLinesCovered / lines) * 1000) / 10
+            : 100,
+        };
+      })
+      .sort((a, b) => a.percent - b.percent);
+  }
+  return { orgWidePercent: orgWide.records[0]?.PercentCovered, classes };
+}
+
+async function testRunResult(orgAlias, jobId, opts = {}) {
+  const status = await pollUntil(
+    () => testRunStatus(orgAlias, jobId),
+    (s) => s.done,
+    opts.waitSeconds
+  );
+  if (!status.done) {
+    return {
+      jobId,
+      status: "Running",
+      ...status,
+      message: "Tests still running. Check again with sf_apex_test_status.",
+    };
+  }
+  const { records } = await sfQueryAll(
+    orgAlias,
+    `SELECT ApexClassId, ApexClass.Name, MethodName, Outcome, Message, StackTrace, RunTime FROM ApexTestResult WHERE AsyncApexJobId = ${soqlString(jobId)}`,
+    { tooling: true, maxRecords: 50000 }
+  );
+  const count = (outcome) =>
+    records.filter((r) => r.Outcome === outcome).length;
+  const result = {
+    jobId,
+    status: status.aborted ? "Aborted" : "Completed",
+    summary: {
+      total: records.length,
+      passed: count("Pass"),
+      failed: count("Fail"),
+      compileFailed: count("CompileFail"),
+      skipped: count("Skip"),
+      runTimeMs: records.reduce((n, r) => n + (r.RunTime || 0), 0),
+    },
+    failures: records
+      .filter((r) => r.Outcome === "Fail" || r.Outcome === "CompileFail")
+      .map((r) => ({
+        class: r.ApexClass?.Name,
+        method: r.MethodName,
+        outcome: r.Outcome,
+        message: r.Message,
+        stackTrace: r.StackTrace,
+      })),
+  };
+  if (opts.coverage !== false) {
+    const testClassIds = [...new Set(records.map((r) => r.ApexClassId))];
+    result.coverage = await testRunCoverage(orgAlias, testClassIds);
+  }
+  return result;
+}
+
+// ─── Debug Logs ────────────────────────────────────────────
+const DEBUG_LEVEL_NAME = "SF_Claude";
+const TRACE_MINUTES = 10;
+const LOG_LINE_START = /^\d{2}:\d{2}:\d{2}\.\d+ \(\d+\)\|/;
+const userIds = new Map();
+
+function soqlDateTime(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+async function currentUserId(orgAlias) {
+  const alias = getOrg(orgAlias)._alias;
+  if (!userIds.has(alias)) {
+    const res = await sfRawApi(orgAlias, "/services/oauth2/userinfo");
+    if (!res.ok) {
+      throw new Error(`Could not identify the running user: ${res.status}`);
+    }
+    userIds.set(alias, (await res.json()).user_id);
+  }
+  return userIds.get(alias);
+}
+
+async function ensureDebugLevel(orgAlias) {
+  const existing = await findDebugLevel(orgAlias, DEBUG_LEVEL_NAME);
+  if (existing) return existing;
+  const created = await sfApi(orgAlias, "/tooling/sobjects/DebugLevel", {
+    method: "POST",
+    body: debugLevelBody(DEBUG_LEVEL_NAME, {
+      ApexCode: "DEBUG",
+      ApexProfiling: "INFO",
+      Callout: "INFO",
+      Database: "INFO",
+      System: "DEBUG",
+      Validation: "INFO",
+      Visualforce: "NONE",
+      Workflow: "INFO",
+    }),
+  });
+  return created.id;
+}
+
+// Makes sure the user has a developer-log trace flag for the next few
+// minutes. Returns an undo function that puts the org back as it was.
+async function startUserTrace(orgAlias, userId) {
+  const now = Date.now();
+  const until = new Date(now + TRACE_MINUTES * 60000).toISOString();
+  const { records } = await sfQueryAll(
+    orgAlias,
+    `SELECT Id, StartDate, ExpirationDate, DebugLevelId, DebugLevel.ApexCode FROM TraceFlag WHERE TracedEntityId = ${soqlString(userId)} AND LogType = 'DEVELOPER_LOG'`,
+    { tooling: true }
+  );
+  const existing = records[0];
+  if (!existing) {
+    const created = await sfApi(orgAlias, "/tooling/sobjects/TraceFlag", {
+      method: "POST",
+      body: {
+        TracedEntityId: userId,
+        LogType: "DEVELOPER_LOG",
+        DebugLevelId: await ensureDebugLevel(orgAlias),
+        StartDate: new Date(now).toISOString(),
+        ExpirationDate: until,
+      },
+    });
+    return () =>
+      sfApi(orgAlias, `/tooling/sobjects/TraceFlag/${created.id}`, {
+        method: "DELETE",
+      });
+  }
+  const active =
+    (!existing.StartDate || Date.parse(existing.StartDate) <= now) &&
+    Date.parse(existing.ExpirationDate) > now + 60000;
+  // A user has only one developer-log flag, so one whose Apex level would
+  // drop System.debug output borrows our debug level for the run.
+  const debugLevelOk =
+    DEBUG_LOG_LEVELS.indexOf(existing.DebugLevel?.ApexCode) >=
+    DEBUG_LOG_LEVELS.indexOf("DEBUG");
+  if (active && debugLevelOk) return async () => {};
+  const changes = {
+    ...(active
+      ? {}
+      : { StartDate: new Date(now).toISOString(), ExpirationDate: until }),
+    ...(debugLevelOk ? {} : { DebugLevelId: await ensureDebugLevel(orgAlias) }),
+  };
+  const flagPath = `/tooling/sobjects/TraceFlag/${existing.Id}`;
+  await sfApi(orgAlias, flagPath, { method: "PATCH", body: changes });
+  return () => {
+    // Salesforce rejects an expiration in the past, and a lapsed flag
+    // traced nothing anyway.
+    if (Date.parse(existing.ExpirationDate) <= Date.now()) {
+      return sfApi(orgAlias, flagPath, { method: "DELETE" });
+    }
+    return sfApi(orgAlias, flagPath, {
+      method: "PATCH",
+      body: pickFields(existing, Object.keys(changes)),
+    });
+  };
+}
+
+// The user's newest logs before a run; StartTime has one-second
+// resolution, so every log sharing the newest StartTime is remembered.
+async function latestUserLogs(orgAlias, userId) {
+  const { records } = await sfQueryAll(
+    orgAlias,
+    `SELECT Id, StartTime FROM ApexLog WHERE LogUserId = ${soqlString(userId)} ORDER BY StartTime DESC LIMIT 20`,
+    { tooling: true, maxRecords: 20 }
+  );
+  const startTime = records[0]?.StartTime;
+  return {
+    startTime,
+    ids: new Set(
+      records.filter((r) => r.StartTime === startTime).map((r) => r.Id)
+    ),
+  };
+}
+
+// Finds the executeAnonymous log written after `before`. The log is written
+// asynchronously, so give it a few seconds to appear.
+async function findAnonymousLog(orgAlias, userId, before) {
+  const since = before.startTime
+    ? ` AND StartTime >= ${soqlDateTime(new Date(before.startTime))}`
+    : "";
+  const query = `SELECT Id, LogLength, StartTime, Operation FROM ApexLog WHERE LogUserId = ${soqlString(userId)} AND Operation LIKE '%executeAnonymous%'${since} ORDER BY StartTime DESC LIMIT 20`;
+  const isNew = (log) =>
+    !before.ids.has(log.Id) && /\/executeAnonymous/.test(log.Operation);
+  const found = await pollUntil(
+    () => sfQueryAll(orgAlias, query, { tooling: true, maxRecords: 20 }),
+    (r) => r.records.some(isNew),
+    15
+  );
+  return found.records.find(isNew);
+}
+
+async function fetchLogBody(orgAlias, logId) {
+  const res = await sfRawApi(
+    orgAlias,
+    `/services/data/v${API_VERSION}/sobjects/ApexLog/${logId}/Body`
+  );
+  if (!res.ok) throw new Error(`Could not fetch log ${logId}: ${res.status}`);
+  return res.text();
+}
+
+// Groups a raw log into events; lines without a timestamp continue the
+// previous event (multi-line debug messages, stack traces).
+function splitLogEvents(body) {
+  const events = [];
+  for (const line of body.split(/\r?\n/)) {
+    if (LOG_LINE_START.test(line) || !events.length) events.push(line);
+    else events[events.length - 1] += `\n${line}`;
+  }
+  return events;
+}
+
+// Keeps USER_DEBUG output, exceptions and the cumulative limits block.
+function filterDebugLog(body) {
+  const kept = [];
+  let inLimits = false;
+  for (const event of splitLogEvents(body)) {
+    const type = event.split("|")[1];
+    if (type === "CUMULATIVE_LIMIT_USAGE") inLimits = true;
+    if (
+      inLimits ||
+      type === "USER_DEBUG" ||
+      type === "EXCEPTION_THROWN" ||
+      type === "FATAL_ERROR"
+    ) {
+      kept.push(event);
+    }
+    if (type === "CUMULATIVE_LIMIT_USAGE_END") inLimits = false;
+  }
+  return kept.join("\n");
+}
+
+async function runAnonymousWithLog(orgAlias, code, { rawLog } = {}) {
+  const userId = await currentUserId(orgAlias);
+  const stopTrace = await startUserTrace(orgAlias, userId);
+  let result;
+  try {
+    const before = await latestUserLogs(orgAlias, userId);
+    result = await sfApi(
+      orgAlias,
+      `/tooling/executeAnonymous?anonymousBody=${encodeURIComponent(code)}`
+    );
+    if (result.compiled) {
+      const log = await findAnonymousLog(orgAlias, userId, before);
+      if (log) {
+        const body = await fetchLogBody(orgAlias, log.Id);
+        result.logId = log.Id;
+        result.log = rawLog ? body : filterDebugLog(body);
+      } else {
+        result.log = null;
+        result.logWarning = "No debug log was found for this execution.";
+      }
+    }
+  } finally {
+    try {
+      await stopTrace();
+    } catch (err) {
+      if (result) result.traceFlagWarning = `Cleanup failed: ${err.message}`;
+    }
+  }
+  return result;
+}
+
+// ─── Debug Log Parser ──────────────────────────────────────
+const LOG_EVENT = /^\S+ \((\d+)\)\|([^|]+)\|?(.*)$/;
+const LOG_LIMIT_LINE = /^\s*(.+?): (\d+) out of (\d+)/;
+const LIMIT_HOTSPOT_RATIO = 0.5;
+const LOG_UNIT_EVENTS = {
+  CODE_UNIT_STARTED: ["unit", true],
+  CODE_UNIT_FINISHED: ["unit", false],
+  METHOD_ENTRY: ["method", true],
+  METHOD_EXIT: ["method", false],
+  CONSTRUCTOR_ENTRY: ["constructor", true],
+  CONSTRUCTOR_EXIT: ["constructor", false],
+  FLOW_START_INTERVIEW_BEGIN: ["flow", true],
+  FLOW_START_INTERVIEW_END: ["flow", false],
+};
+
+function elapsedMs(fromMs, toMs) {
+  return Math.round((toMs - fromMs) * 1000) / 1000;
+}
+
+function parseLogEvent(text) {
+  const [head, ...more] = text.split("\n");
+  const match = head.match(LOG_EVENT);
+  if (!match) return null;
+  let fields = match[3] ? match[3].split("|") : [];
+  let line;
+  const bracket = fields[0]?.match(/^\[(\w+)\]$/);
+  if (bracket) {
+    if (/^\d+$/.test(bracket[1])) line = Number(bracket[1]);
+    fields = fields.slice(1);
+  }
+  return {
+    timeMs: Number(match[1]) / 1e6,
+    type: match[2],
+    line,
+    fields,
+    detail: more.join("\n"),
+  };
+}
+
+function keyValueFields(fields) {
+  return Object.fromEntries(
+    fields
+      .map((f) => f.match(/^(\w+):(.*)$/))
+      .filter(Boolean)
+      .map(([, key, value]) => [key, value])
+  );
+}
+
+// Turns a raw debug log into timed code units, SOQL and DML executions,
+// exceptions, limit snapshots and declarative automation.
+function parseDebugLog(body) {
+  const parsed = {
+    durationMs: 0,
+    units: [],
+    soql: [],
+    dml: [],
+    exceptions: [],
+    limitSnapshots: [],
+    automation: { triggers: [], flows: [], validationRules: [] },
+  };
+  const stack = [];
+  let pendingSoql = null;
+  let pendingDml = null;
+  let firstMs;
+  for (const text of splitLogEvents(body)) {
+    const event = parseLogEvent(text);
+    if (!event) continue;
+    firstMs ??= event.timeMs;
+    parsed.durationMs = elapsedMs(firstMs, event.timeMs);
+    const current = stack[stack.length - 1]?.name;
+    const boundary = LOG_UNIT_EVENTS[event.type];
+    if (boundary) {
+      const [kind, starts] = boundary;
+      if (starts) {
+        // Code units carry "<id>|<description>|<internal name>".
+        const name =
+          event.type === "CODE_UNIT_STARTED"
+            ? event.fields.find((f) => !SALESFORCE_ID.test(f))
+            : event.fields[event.fields.length - 1];
+        stack.push({
+          kind,
+          name,
+          line: event.line,
+          startMs: event.timeMs,
+          depth: stack.length,
+        });
+        continue;
+      }
+      const index = stack.map((u) => u.kind).lastIndexOf(kind);
+      if (index === -1) continue;
+      const [unit, ...abandoned] = stack.splice(index);
+      const finished = [unit, ...abandoned].map(({ startMs, ...u }) => ({
+        ...u,
+        durationMs: elapsedMs(startMs, event.timeMs),
+      }));
+      parsed.units.push(...finished);
+      const trigger = unit.name?.match(/^(.+) on (\w+) trigger event (\w+)/);
+      if (trigger) {
+        parsed.automation.triggers.push({
+          name: trigger[1],
+          sobject: trigger[2],
+          event: trigger[3],
+          durationMs: finished[0].durationMs,
+        });
+      }
+      if (kind === "flow") {
+        parsed.automation.flows.push({
+          name: unit.name,
+          durationMs: finished[0].durationMs,
+        });
+      }
+      continue;
+    }
+    switch (event.type) {
+      case "SOQL_EXECUTE_BEGIN":
+        pendingSoql = {
+          line: event.line,
+          query: event.fields[event.fields.length - 1],
+          unit: current,
+          startMs: event.timeMs,
+        };
+        break;
+      case "SOQL_EXECUTE_END":
+        if (pendingSoql) {
+          const { startMs, ...soql } = pendingSoql;
+          parsed.soql.push({
+            ...soql,
+            rows: Number(keyValueFields(event.fields).Rows) || 0,
+            durationMs: elapsedMs(startMs, event.timeMs),
+          });
+          pendingSoql = null;
+        }
+        break;
+      case "DML_BEGIN": {
+        const { Op, Type, Rows } = keyValueFields(event.fields);
+        pendingDml = {
+          line: event.line,
+          operation: Op,
+          sobject: Type,
+          rows: Number(Rows) || 0,
+          unit: current,
+          startMs: event.timeMs,
+        };
+        break;
+      }
+      case "DML_END":
+        if (pendingDml) {
+          const { startMs, ...dml } = pendingDml;
+          parsed.dml.push({
+            ...dml,
+            durationMs: elapsedMs(startMs, event.timeMs),
+          });
+          pendingDml = null;
+        }
+        break;
+      case "EXCEPTION_THROWN":
+      case "FATAL_ERROR":
+      case "FLOW_ELEMENT_ERROR": {
+        const message = [event.fields.join("|"), event.detail]
+          .filter(Boolean)
+          .join("\n");
+        parsed.exceptions.push({
+          type: event.type,
+          line: event.line,
+          unit: current,
+          message,
+        });
+        break;
+      }
+      case "VALIDATION_RULE":
+        parsed.automation.validationRules.push({
+          name: event.fields[event.fields.length - 1],
+        });
+        break;
+      case "VALIDATION_PASS":
+      case "VALIDATION_FAIL": {
+        const rules = parsed.automation.validationRules;
+        const rule = rules[rules.length - 1];
+        if (rule && !rule.result) {
+          rule.result = event.type === "VALIDATION_PASS" ? "pass" : "fail";
+        }
+        break;
+      }
+      case "LIMIT_USAGE_FOR_NS": {
+        const limits = {};
+        for (const line of event.detail.split("\n")) {
+          const m = line.match(LOG_LIMIT_LINE);
+          if (m) limits[m[1]] = { used: Number(m[2]), max: Number(m[3]) };
+        }
+        parsed.limitSnapshots.push({
+          timeMs: event.timeMs,
+          namespace: event.fields[0],
+          unit: current,
+          limits,
+        });
+        break;
+      }
+    }
+  }
+  return parsed;
+}
+
+function groupExecutions(executions, keyOf) {
+  const groups = new Map();
+  for (const e of executions) {
+    const key = keyOf(e);
+    const group = groups.get(key) || { ...e, executions: 0, rows: 0 };
+    group.executions++;
+    group.rows += e.rows;
+    group.totalMs = elapsedMs(-e.durationMs, group.totalMs || 0);
+    delete group.durationMs;
+    groups.set(key, group);
+  }
+  return [...groups.values()].sort((a, b) => b.executions - a.executions);
+}
+
+function summarizeDebugLog(parsed, { top = 10 } = {}) {
+  const soql = groupExecutions(parsed.soql, (s) => `${s.line}|${s.query}`);
+  const dml = groupExecutions(
+    parsed.dml,
+    (d) => `${d.line}|${d.operation}|${d.sobject}`
+  );
+  const peaks = new Map();
+  for (const snapshot of parsed.limitSnapshots) {
+    for (const [name, { used, max }] of Object.entries(snapshot.limits)) {
+      const key = `${snapshot.namespace}|${name}`;
+      if (!peaks.has(key) || peaks.get(key).used < used) {
+        peaks.set(key, {
+          namespace: snapshot.namespace,
+          limit: name,
+          used,
+          max,
+          percent: max ? Math.round((used / max) * 1000) / 10 : 0,
+          unit: snapshot.unit,
+        });
+      }
+    }
+  }
+  return {
+    durationMs: parsed.durationMs,
+    slowestUnits: [...parsed.units]
+      .sort((a, b) => b.durationMs - a.durationMs)
+      .slice(0, top),
+    soql: {
+      executions: parsed.soql.length,
+      rows: parsed.soql.reduce((n, s) => n + s.rows, 0),
+      statements: soql.slice(0, top),
+    },
+    soqlInLoops: soql.filter((s) => s.executions > 1),
+    dml: {
+      executions: parsed.dml.length,
+      rows: parsed.dml.reduce((n, d) => n + d.rows, 0),
+      statements: dml.slice(0, top),
+    },
+    dmlInLoops: dml.filter((d) => d.executions > 1),
+    exceptions: parsed.exceptions,
+    limitHotspots: [...peaks.values()]
+      .filter((p) => p.percent >= LIMIT_HOTSPOT_RATIO * 100)
+      .sort((a, b) => b.percent - a.percent),
+    automation: parsed.automation,
+  };
+}
+
+// ─── Trace Flags & Debug Levels ────────────────────────────
+const DEBUG_LOG_CATEGORIES = [
+  "ApexCode",
+  "ApexProfiling",
+  "Callout",
+  "Database",
+  "Nba",
+  "System",
+  "Validation",
+  "Visualforce",
+  "Wave",
+  "Workflow",
+];
+const DEBUG_LOG_LEVELS = [
+  "NONE",
+  "ERROR",
+  "WARN",
+  "INFO",
+  "DEBUG",
+  "FINE",
+  "FINER",
+  "FINEST",
+];
+const TRACE_LOG_TYPES = ["USER_DEBUG", "DEVELOPER_LOG", "CLASS_TRACING"];
+const SALESFORCE_ID = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+
+async function resolveTracedEntity(orgAlias, ref) {
+  if (ref === "me") {
+    return { id: await currentUserId(orgAlias), kind: "user" };
+  }
+  if (SALESFORCE_ID.test(ref) && /^(005|01p|01q)/.test(ref)) {
+    return { id: ref, kind: ref.startsWith("005") ? "user" : "apex" };
+  }
+  const lookups = ref.includes("@")
+    ? [["User", "Username", false, "user"]]
+    : [
+        ["ApexClass", "Name", true, "apex"],
+        ["ApexTrigger", "Name", true, "apex"],
+      ];
+  for (const [sobject, field, tooling, kind] of lookups) {
+    const { records } = await sfQueryAll(
+      orgAlias,
+      `SELECT Id FROM ${sobject} WHERE ${field} = ${soqlString(ref)}`,
+      { tooling, maxRecords: 1 }
+    );
+    if (records.length) return { id: records[0].Id, kind };
+  }
+  throw new Error(
+    `No user, Apex class or trigger found for "${ref}". Use a username, class/trigger name, Id or "me".`
+  );
+}
+
+async function findDebugLevel(orgAlias, name) {
+  const { records } = await sfQueryAll(
+    orgAlias,
+    `SELECT Id FROM DebugLevel WHERE DeveloperName = ${soqlString(name)}`,
+    { tooling: true }
+  );
+  return records[0]?.Id;
+}
+
+function debugLevelBody(name, levels = {}) {
+  const body = { DeveloperName: name, MasterLabel: name };
+  for (const [category, level] of Object.entries(levels)) {
+    if (!DEBUG_LOG_CATEGORIES.includes(category)) {
+      throw new Error(
+        `Unknown log category "${category}". Use one of: ${DEBUG_LOG_CATEGORIES.join(", ")}`
+      );
+    }
+    const upper = String(level).toUpperCase();
+    if (!DEBUG_LOG_LEVELS.includes(upper)) {
+      throw new Error(
+        `Unknown log level "${level}". Use one of: ${DEBUG_LOG_LEVELS.join(", ")}`
+      );
+    }
+    body[category] = upper;
+  }
+  return body;
+}
+
+async function createTraceFlag(orgAlias, opts) {
+  const { tracedEntity, logType, debugLevel, minutes = 60 } = opts;
+  if (minutes <= 0 || minutes > 1440) {
+    throw new Error("minutes must be between 1 and 1440 (24 hours)");
+  }
+  const entity = await resolveTracedEntity(orgAlias, tracedEntity);
+  const debugLevelId = debugLevel
+    ? await findDebugLevel(orgAlias, debugLevel)
+    : await ensureDebugLevel(orgAlias);
+  if (!debugLevelId) throw new Error(`Debug level ${debugLevel} not found`);
+  const now = Date.now();
+  return sfApi(orgAlias, "/tooling/sobjects/TraceFlag", {
+    method: "POST",
+    body: {
+      TracedEntityId: entity.id,
+      LogType:
+        logType || (entity.kind === "user" ? "USER_DEBUG" : "CLASS_TRACING"),
+      DebugLevelId: debugLevelId,
+      StartDate: new Date(now).toISOString(),
+      ExpirationDate: new Date(now + minutes * 60000).toISOString(),
+    },
+  });
+}
+
+async function deleteApexLogs(orgAlias, opts = {}) {
+  const { logIds, olderThanHours, user, maxLogs } = opts;
+  let ids = logIds || [];
+  if (!ids.length) {
+    const filters = [];
+    if (olderThanHours != null) {
+      const cutoff = new Date(Date.now() - olderThanHours * 3600000);
+      filters.push(`StartTime < ${soqlDateTime(cutoff)}`);
+    }
+    if (user) {
+      const entity = await resolveTracedEntity(orgAlias, user);
+      filters.push(`LogUserId = ${soqlString(entity.id)}`);
+    }
+    const where = filters.length ? ` WHERE ${filters.join(" AND ")}` : "";
+    const { records } = await sfQueryAll(
+      orgAlias,
+      `SELECT Id FROM ApexLog${where} ORDER BY StartTime`,
+      { tooling: true, maxRecords: maxLogs || DEFAULT_MAX_RECORDS }
+    );
+    ids = records.map((r) => r.Id);
+  }
+  if (!ids.length) return { successCount: 0, failureCount: 0, results: [] };
+  const results = [];
+  for (let i = 0; i < ids.length; i += COLLECTION_BATCH_LIMIT) {
+    results.push(
+      ...(await sfCollection(orgAlias, "delete", {
+        ids: ids.slice(i, i + COLLECTION_BATCH_LIMIT),
+      }))
+    );
+  }
+  const summary = summarizeCollectionResults(results);
+  return {
+    successCount: summary.successCount,
+    failureCount: summary.failureCount,
+    failures: summary.results.filter((r) => !r.success),
+  };
+}
+
+// ─── Flows ─────────────────────────────────────────────────
+// Flow versions come from the Tooling API Flow object, whose Metadata
+// field holds the whole definition. The active version is switched by
+// setting activeVersionNumber on the FlowDefinition.
+const FLOW_ELEMENT_TYPES = {
+  actionCalls: "Action",
+  assignments: "Assignment",
+  collectionProcessors: "Collection",
+  customErrors: "Custom Error",
+  decisions: "Decision",
+  loops: "Loop",
+  recordCreates: "Create Records",
+  recordDeletes: "Delete Records",
+  recordLookups: "Get Records",
+  recordRollbacks: "Roll Back Records",
+  recordUpdates: "Update Records",
+  screens: "Screen",
+  subflows: "Subflow",
+  transforms: "Transform",
+  waits: "Wait",
+};
+const FLOW_OPERATORS = {
+  EqualTo: "=",
+  NotEqualTo: "!=",
+  GreaterThan: ">",
+  GreaterThanOrEqualTo: ">=",
+  LessThan: "<",
+  LessThanOrEqualTo: "<=",
+};
+const FLOW_UNARY_OPERATORS = ["IsNull", "IsBlank", "IsChanged", "WasSet"];
+const FLOW_RECORD_TRIGGERS = {
+  Create: "created",
+  Update: "updated",
+  CreateAndUpdate: "created or updated",
+  Delete: "deleted",
+};
+const FLOW_FAILURE_HOURS = 24;
+
+// Flow API names can't contain "__", so `ns__Name` is namespaced.
+function flowNameFilter(flow) {
+  const [, namespace, name] = flow.match(/^(\w+?)__(\w+)$/) || [, null, flow];
+  return `DeveloperName = ${soqlString(name)} AND NamespacePrefix = ${namespace ? soqlString(namespace) : "null"}`;
+}
+
+async function findFlowDefinition(orgAlias, flow) {
+  const where = SALESFORCE_ID.test(flow)
+    ? `Id = ${soqlString(flow)}`
+    : flowNameFilter(flow);
+  const { records } = await sfQueryAll(
+    orgAlias,
+    `SELECT Id, DeveloperName, NamespacePrefix, ActiveVersionId, LatestVersionId, ActiveVersion.VersionNumber, LatestVersion.VersionNumber FROM FlowDefinition WHERE ${where}`,
+    { tooling: true }
+  );
+  if (!records.length) throw new Error(`Flow not found: ${flow}`);
+  return records[0];
+}
+
+async function listFlows(orgAlias, opts = {}) {
+  const { namePattern, activeOnly, maxRecords } = opts;
+  const conditions = [];
+  if (namePattern) {
+    conditions.push(`DeveloperName LIKE ${globToLike(namePattern)}`);
+  }
+  if (activeOnly) conditions.push("ActiveVersionId != null");
+  const where = conditions.length ? ` WHERE ${conditions.join(" AND ")}` : "";
+  const { records, truncated } = await sfQueryAll(
+    orgAlias,
+    `SELECT Id, DeveloperName, NamespacePrefix, ActiveVersionId, LatestVersionId, ActiveVersion.VersionNumber, LatestVersion.VersionNumber, LatestVersion.MasterLabel, LatestVersion.ProcessType, LatestVersion.Status, LastModifiedDate FROM FlowDefinition${where} ORDER BY DeveloperName`,
+    { tooling: true, maxRecords }
+  );
+  return {
+    truncated,
+    flows: records.map((r) => ({
+      id: r.Id,
+      apiName: qualifiedName(r.NamespacePrefix, r.DeveloperName),
+      label: r.LatestVersion?.MasterLabel,
+      processType: r.LatestVersion?.ProcessType,
+      activeVersion: r.ActiveVersion?.VersionNumber ?? null,
+      latestVersion: r.LatestVersion?.VersionNumber,
+      latestStatus: r.LatestVersion?.Status,
+      lastModifiedDate: r.LastModifiedDate,
+    })),
+  };
+}
+
+// Picks a version by number, or the active one, or the latest.
+async function findFlowVersion(orgAlias, definition, versionNumber) {
+  if (versionNumber == null) {
+    return definition.ActiveVersionId || definition.LatestVersionId;
+  }
+  const { records } = await sfQueryAll(
+    orgAlias,
+    `SELECT Id FROM Flow WHERE DefinitionId = ${soqlString(definition.Id)} AND VersionNumber = ${Number(versionNumber)}`,
+    { tooling: true }
+  );
+  if (!records.length) {
+    throw new Error(
+      `${definition.DeveloperName} has no version ${versionNumber}`
+    );
+  }
+  return records[0].Id;
+}
+
+function flowValue(value) {
+  if (value == null) return "null";
+  if (value.elementReference) return `{!${value.elementReference}}`;
+  const [literal] = Object.entries(value)
+    .filter(([key, v]) => key.endsWith("Value") && v != null)
+    .map(([, v]) => v);
+  return typeof literal === "string" ? `'${literal}'` : String(literal);
+}
+
+function flowOperator(operator) {
+  return (
+    FLOW_OPERATORS[operator] ||
+    operator.replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase()
+  );
+}
+
+// Renders conditions or filters, honouring custom logic like "1 AND (2 OR 3)".
+function flowConditionText(conditions = [], logic = "and") {
+  const parts = conditions.map((c) => {
+    const left = c.leftValueReference || c.field;
+    const right = c.rightValue ?? c.value;
+    const operator = flowOperator(c.operator);
+    if (FLOW_UNARY_OPERATORS.includes(c.operator)) {
+      return right?.booleanValue === false
+        ? `${left} ${operator.replace(/^(is|was) /, "$1 not ")}`
+        : `${left} ${operator}`;
+    }
+    return `${left} ${operator} ${flowValue(right)}`;
+  });
+  if (!parts.length) return null;
+  if (/^(and|or)$/i.test(logic)) {
+    return parts.join(` ${logic.toUpperCase()} `);
+  }
+  return logic.replace(/\d+/g, (n) => parts[n - 1] ?? n);
+}
+
+function flowAssignments(items = []) {
+  return Object.fromEntries(items.map((a) => [a.field, flowValue(a.value)]));
+}
+
+function readableFlowElement(kind, element) {
+  const readable = {
+    type: FLOW_ELEMENT_TYPES[kind],
+    name: element.name,
+    label: element.label,
+    next: element.connector?.targetReference,
+    onFault: element.faultConnector?.targetReference,
+  };
+  switch (kind) {
+    case "decisions":
+      readable.outcomes = (element.rules || []).map((rule) => ({
+        name: rule.name,
+        label: rule.label,
+        when: flowConditionText(rule.conditions, rule.conditionLogic),
+        next: rule.connector?.targetReference,
+      }));
+      readable.defaultOutcome = {
+        label: element.defaultConnectorLabel,
+        next: element.defaultConnector?.targetReference,
+      };
+      break;
+    case "recordLookups":
+    case "recordCreates":
+    case "recordUpdates":
+    case "recordDeletes":
+      readable.object = element.object || `{!${element.inputReference}}`;
+      readable.filter = flowConditionText(
+        element.filters,
+        element.filterLogic
+      );
+      if (element.inputAssignments?.length) {
+        readable.fields = flowAssignments(element.inputAssignments);
+      }
+      if (kind === "recordLookups") {
+        readable.firstRecordOnly = element.getFirstRecordOnly;
+        readable.storeIn = element.outputReference;
+      }
+      break;
+    case "loops":
+      readable.collection = element.collectionReference;
+      readable.next = element.nextValueConnector?.targetReference;
+      readable.afterLast = element.noMoreValuesConnector?.targetReference;
+      break;
+    case "assignments":
+      readable.assignments = (element.assignmentItems || []).map(
+        (a) =>
+          `${a.assignToReference} ${flowOperator(a.operator)} ${flowValue(a.value)}`
+      );
+      break;
+    case "actionCalls":
+      readable.action = element.actionName;
+      readable.actionType = element.actionType;
+      break;
+    case "subflows":
+      readable.flow = element.flowName;
+      break;
+    case "screens":
+      readable.fields = (element.fields || []).map((f) => f.name);
+      break;
+  }
+  return Object.fromEntries(
+    Object.entries(readable).filter(([, v]) => v != null)
+  );
+}
+
+function readableFlow(flow) {
+  const metadata = flow.Metadata;
+  const start = metadata.start || {};
+  const elements = Object.keys(FLOW_ELEMENT_TYPES).flatMap((kind) =>
+    (metadata[kind] || []).map((e) => readableFlowElement(kind, e))
+  );
+  return {
+    id: flow.Id,
+    label: metadata.label,
+    versionNumber: flow.VersionNumber,
+    status: metadata.status,
+    processType: metadata.processType,
+    apiVersion: metadata.apiVersion,
+    description: metadata.description,
+    start: {
+      object: start.object,
+      triggerType: start.triggerType,
+      recordTriggerType: start.recordTriggerType,
+      entryCriteria:
+        start.filterFormula ||
+        flowConditionText(start.filters, start.filterLogic),
+      onlyWhenChangedToMeetCriteria:
+        start.doesRequireRecordChangedToMeetCriteria || undefined,
+      schedule: start.schedule,
+      scheduledPaths: start.scheduledPaths?.map((p) => p.label || p.name),
+      next: start.connector?.targetReference || metadata.startElementReference,
+    },
+    elements,
+    variables: (metadata.variables || []).map((v) => ({
+      name: v.name,
+      dataType: v.dataType,
+      objectType: v.objectType,
+      collection: v.isCollection,
+      input: v.isInput,
+      output: v.isOutput,
+    })),
+    formulas: (metadata.formulas || []).map((f) => ({
+      name: f.name,
+      expression: f.expression,
+    })),
+  };
+}
+
+function describeFlowStart(flow) {
+  const { start, processType } = flow;
+  switch (start.triggerType) {
+    case "RecordBeforeSave":
+    case "RecordAfterSave":
+    case "RecordBeforeDelete": {
+      const timing =
+        start.triggerType === "RecordAfterSave" ? "after" : "before";
+      const event =
+        FLOW_RECORD_TRIGGERS[start.recordTriggerType] || "saved";
+      return `Record-triggered flow on ${start.object}; runs ${timing} the record is ${event}.`;
+    }
+    case "Scheduled":
+      return `Scheduled flow${start.object ? ` over ${start.object} records` : ""}, running ${start.schedule?.frequency?.toLowerCase() || "on a schedule"}${start.schedule?.startDate ? ` from ${start.schedule.startDate}` : ""}.`;
+    case "PlatformEvent":
+      return `Runs when a ${start.object} platform event is published.`;
+  }
+  if (processType === "Flow") {
+    const screens = flow.elements.filter((e) => e.type === "Screen").length;
+    return `Screen flow with ${screens} screen${screens === 1 ? "" : "s"}.`;
+  }
+  return `${processType} flow, started by another flow, Apex, a button or an action.`;
+}
+
+function summarizeFlow(flow) {
+  const byType = groupBy(flow.elements, (e) => e.type);
+  const list = (type, render) => (byType.get(type) || []).map(render);
+  const lines = [describeFlowStart(flow)];
+  if (flow.start.entryCriteria) {
+    lines.push(
+      `Entry criteria: ${flow.start.entryCriteria}${flow.start.onlyWhenChangedToMeetCriteria ? " (only when a change makes the record meet them)" : ""}.`
+    );
+  } else if (flow.start.object) {
+    lines.push("No entry criteria: it runs for every matching record.");
+  }
+  if (flow.start.scheduledPaths?.length) {
+    lines.push(`Scheduled paths: ${flow.start.scheduledPaths.join(", ")}.`);
+  }
+  const reads = list("Get Records", (e) => e.object);
+  if (reads.length) lines.push(`Reads ${[...new Set(reads)].join(", ")}.`);
+  for (const [type, verb] of [
+    ["Create Records", "Creates"],
+    ["Update Records", "Updates"],
+    ["Delete Records", "Deletes"],
+  ]) {
+    const targets = list(type, (e) =>
+      e.filter ? `${e.object} where ${e.filter}` : e.object
+    );
+    if (targets.length) lines.push(`${verb} ${targets.join("; ")}.`);
+  }
+  for (const decision of byType.get("Decision") || []) {
+    const outcomes = decision.outcomes
+      .map((o) => `${o.label} when ${o.when}`)
+      .join("; ");
+    lines.push(
+      `Decision "${decision.label}": ${outcomes}; otherwise ${decision.defaultOutcome.label || "default"}.`
+    );
+  }
+  const actions = list("Action", (e) => `${e.label} (${e.actionType})`);
+  if (actions.length) lines.push(`Calls actions: ${actions.join(", ")}.`);
+  const subflows = list("Subflow", (e) => e.flow);
+  if (subflows.length) lines.push(`Calls subflows: ${subflows.join(", ")}.`);
+  const dml = flow.elements.filter((e) =>
+    ["Create Records", "Update Records", "Delete Records"].includes(e.type)
+  );
+  const unhandled = dml.filter((e) => !e.onFault).map((e) => e.label);
+  if (unhandled.length) {
+    lines.push(`No fault path on: ${unhandled.join(", ")}.`);
+  }
+  return lines.join("\n");
+}
+
+async function getFlow(orgAlias, flowName, { versionNumber } = {}) {
+  const definition = await findFlowDefinition(orgAlias, flowName);
+  const versionId = await findFlowVersion(orgAlias, definition, versionNumber);
+  const flow = await sfApi(orgAlias, `/tooling/sobjects/Flow/${versionId}`);
+  return {
+    definitionId: definition.Id,
+    apiName: qualifiedName(
+      definition.NamespacePrefix,
+      definition.DeveloperName
+    ),
+    activeVersion: definition.ActiveVersion?.VersionNumber ?? null,
+    latestVersion: definition.LatestVersion?.VersionNumber,
+    flow,
+  };
+}
+
+async function setActiveFlowVersion(orgAlias, flowName, action, version) {
+  const definition = await findFlowDefinition(orgAlias, flowName);
+  const active = definition.ActiveVersion?.VersionNumber ?? null;
+  let target;
+  if (action === "deactivate") {
+    target = null;
+  } else if (action === "activate") {
+    target = version ?? definition.LatestVersion?.VersionNumber;
+  } else if (action === "rollback") {
+    if (version == null && !active) {
+      throw new Error(
+        `${definition.DeveloperName} has no active version to roll back from`
+      );
+    }
+    target = version ?? active - 1;
+    if (target < 1 || target === active) {
+      throw new Error(
+        `Nothing to roll back to from version ${active}; pass a version`
+      );
+    }
+  } else {
+    throw new Error(`Unknown action: ${action}`);
+  }
+  if (target != null) await findFlowVersion(orgAlias, definition, target);
+  await sfApi(orgAlias, `/tooling/sobjects/FlowDefinition/${definition.Id}`, {
+    method: "PATCH",
+    body: { Metadata: { activeVersionNumber: target } },
+  });
+  return {
+    flow: definition.DeveloperName,
+    previousActiveVersion: active,
+    activeVersion: target,
+  };
+}
+
+async function listFlowFailures(orgAlias, { flow, sinceHours, limit }) {
+  const since = soqlDateTime(
+    new Date(Date.now() - (sinceHours || FLOW_FAILURE_HOURS) * 3600 * 1000)
+  );
+  const conditions = ["InterviewStatus = 'Error'", `CreatedDate >= ${since}`];
+  if (flow) {
+    conditions.push(
+      `FlowVersionView.FlowDefinitionView.ApiName = ${soqlString(flow)}`
+    );
+  }
+  const { records } = await sfQueryAll(
+    orgAlias,
+    `SELECT Id, Name, InterviewLabel, CurrentElement, Error, CreatedDate, CreatedBy.Username, FlowVersionView.FlowDefinitionView.ApiName, FlowVersionView.VersionNumber FROM FlowInterview WHERE ${conditions.join(" AND ")} ORDER BY CreatedDate DESC`,
+    { maxRecords: limit || 50 }
+  );
+  return records.map((r) => ({
+    id: r.Id,
+    flow: r.FlowVersionView?.FlowDefinitionView?.ApiName,
+    version: r.FlowVersionView?.VersionNumber,
+    interview: r.InterviewLabel || r.Name,
+    failedAt: r.CurrentElement,
+    error: r.Error,
+    createdDate: r.CreatedDate,
+    runningUser: r.CreatedBy?.Username,
+  }));
+}
+
+// ─── Permission Analysis ───────────────────────────────────
+// Traces object and field access through a user's profile, permission
+// sets and permission set groups. Group assignments are expanded into
+// their component permission sets so a grant or a mute can be named.
+const OBJECT_PERMISSIONS = {
+  read: "PermissionsRead",
+  create: "PermissionsCreate",
+  edit: "PermissionsEdit",
+  delete: "PermissionsDelete",
+  viewAll: "PermissionsViewAllRecords",
+  modifyAll: "PermissionsModifyAllRecords",
+};
+const FIELD_PERMISSIONS = { read: "PermissionsRead", edit: "PermissionsEdit" };
+const PERMISSION_PARENT_FIELDS = [
+  "ParentId",
+  "Parent.Name",
+  "Parent.Label",
+  "Parent.Type",
+  "Parent.IsOwnedByProfile",
+  "Parent.Profile.Name",
+];
+const MAX_PERMISSION_USERS = 200;
+
+async function resolveUser(orgAlias, ref) {
+  const id =
+    ref === "me"
+      ? await currentUserId(orgAlias)
+      : SALESFORCE_ID.test(ref) && ref;
+  const where = id ? `Id = ${soqlString(id)}` : `Username = ${soqlString(ref)}`;
+  const { records } = await sfQueryAll(
+    orgAlias,
+    `SELECT Id, Username, Name, IsActive, UserType, Profile.Name FROM User WHERE ${where}`,
+    { maxRecords: 1 }
+  );
+  if (!records.length) {
+    throw new Error(`User not found: ${ref}. Use a username, User Id or "me".`);
+  }
+  return records[0];
+}
+
+function permissionSetPart(id, permissionSet) {
+  return {
+    id,
+    name: permissionSet.Name,
+    viewAllData: permissionSet.PermissionsViewAllData,
+    modifyAllData: permissionSet.PermissionsModifyAllData,
+  };
+}
+
+function permissionSourceLabel(source) {
+  const kind = {
+    profile: "Profile",
+    permissionSet: "Permission set",
+    permissionSetGroup: "Permission set group",
+  }[source.kind];
+  return `${kind}: ${source.name}`;
+}
+
+async function userPermissionSources(orgAlias, userId) {
+  const { records: assignments } = await sfQueryAll(
+    orgAlias,
+    `SELECT PermissionSetId, PermissionSetGroupId, PermissionSetGroup.DeveloperName, PermissionSet.Name, PermissionSet.IsOwnedByProfile, PermissionSet.Profile.Name, PermissionSet.PermissionsViewAllData, PermissionSet.PermissionsModifyAllData, ExpirationDate FROM PermissionSetAssignment WHERE AssigneeId = ${soqlString(userId)}`
+  );
+  const groupIds = assignments
+    .filter((a) => a.PermissionSetGroupId)
+    .map((a) => a.PermissionSetGroupId);
+  const components = groupBy(
+    groupIds.length
+      ? await queryWhereIn(
+          orgAlias,
+          "PermissionSetGroupComponent",
+          [
+            "PermissionSetGroupId",
+            "PermissionSetId",
+            "PermissionSet.Name",
+            "PermissionSet.Type",
+            "PermissionSet.PermissionsViewAllData",
+            "PermissionSet.PermissionsModifyAllData",
+          ],
+          "PermissionSetGroupId",
+          groupIds
+        )
+      : [],
+    (c) => c.PermissionSetGroupId
+  );
+  return assignments.map((a) => {
+    if (a.PermissionSetGroupId) {
+      const parts = components.get(a.PermissionSetGroupId) || [];
+      const isMuting = (c) => c.PermissionSet.Type === "Muting";
+      return {
+        kind: "permissionSetGroup",
+        name: a.PermissionSetGroup.DeveloperName,
+        expires: a.ExpirationDate || undefined,
+        grants: parts
+          .filter((c) => !isMuting(c))
+          .map((c) => permissionSetPart(c.PermissionSetId, c.PermissionSet)),
+        mutes: parts
+          .filter(isMuting)
+          .map((c) => permissionSetPart(c.PermissionSetId, c.PermissionSet)),
+      };
+    }
+    const profile = a.PermissionSet.IsOwnedByProfile;
+    return {
+      kind: profile ? "profile" : "permissionSet",
+      name: profile ? a.PermissionSet.Profile?.Name : a.PermissionSet.Name,
+      expires: a.ExpirationDate || undefined,
+      grants: [permissionSetPart(a.PermissionSetId, a.PermissionSet)],
+      mutes: [],
+    };
+  });
+}
+
+// For each permission, names the sources that grant it and the groups
+// where a muting permission set takes it away.
+function evaluatePermissions(sources, rows, permissions, systemGrant) {
+  const result = {};
+  for (const [key, column] of Object.entries(permissions)) {
+    const grantedBy = [];
+    const mutedBy = [];
+    for (const source of sources) {
+      const granting = source.grants.filter(
+        (part) => rows.get(part.id)?.[column] || systemGrant?.(part, key)
+      );
+      const muting = source.mutes.filter((part) => rows.get(part.id)?.[column]);
+      if (!granting.length) continue;
+      const label = permissionSourceLabel(source);
+      const via =
+        source.kind === "permissionSetGroup"
+          ? ` via ${granting.map((p) => p.name).join(", ")}`
+          : "";
+      if (muting.length) {
+        mutedBy.push(
+          `${label} (muted by ${muting.map((p) => p.name).join(", ")})`
+        );
+      } else {
+        grantedBy.push(`${label}${via}`);
+      }
+    }
+    result[key] = {
+      allowed: grantedBy.length > 0,
+      grantedBy,
+      mutedBy: mutedBy.length ? mutedBy : undefined,
+    };
+  }
+  return result;
+}
+
+// View All Data and Modify All Data grant object access everywhere.
+function systemObjectGrant(part, key) {
+  if (part.modifyAllData) return true;
+  return part.viewAllData && (key === "read" || key === "viewAll");
+}
+
+function blockReason(access, dependency) {
+  if (dependency && !dependency.allowed) return dependency.reason;
+  if (access.allowed) return undefined;
+  return access.mutedBy
+    ? `muted: ${access.mutedBy.join("; ")}`
+    : "no profile or permission set grants it";
+}
+
+async function sharingDefaults(orgAlias, sobject, user, objectAccess) {
+  const { records } = await sfQueryAll(
+    orgAlias,
+    `SELECT InternalSharingModel, ExternalSharingModel FROM EntityDefinition WHERE QualifiedApiName = ${soqlString(sobject)}`,
+    { maxRecords: 1 }
+  );
+  const entity = records[0] || {};
+  return {
+    internal: entity.InternalSharingModel,
+    external: entity.ExternalSharingModel,
+    appliesToUser:
+      user.UserType === "Standard"
+        ? entity.InternalSharingModel
+        : entity.ExternalSharingModel,
+    seesAllRecords: objectAccess.viewAll.allowed,
+    editsAllRecords: objectAccess.modifyAll.allowed,
+    note: "Access above the default also comes from the role hierarchy, sharing rules, teams and manual shares, which are not evaluated here.",
+  };
+}
+
+async function analyzeUserAccess(orgAlias, opts) {
+  const { user: userRef, sobject, field: fieldName, includeSharing } = opts;
+  const user = await resolveUser(orgAlias, userRef);
+  const describe = await describeSObject(orgAlias, sobject);
+  const field =
+    fieldName &&
+    describe.fields.find(
+      (f) => f.name.toLowerCase() === fieldName.toLowerCase()
+    );
+  if (fieldName && !field) {
+    throw new Error(`No field ${fieldName} on ${describe.name}`);
+  }
+  const sources = await userPermissionSources(orgAlias, user.Id);
+  const ids = sources.flatMap((s) =>
+    [...s.grants, ...s.mutes].map((p) => p.id)
+  );
+  const rowsByParent = async (sobjectName, fields, where) => {
+    const rows = await queryWhereIn(
+      orgAlias,
+      sobjectName,
+      ["ParentId", ...fields],
+      "ParentId",
+      ids,
+      { where }
+    );
+    return new Map(rows.map((r) => [r.ParentId, r]));
+  };
+
+  const objectAccess = evaluatePermissions(
+    sources,
+    await rowsByParent(
+      "ObjectPermissions",
+      Object.values(OBJECT_PERMISSIONS),
+      `SobjectType = ${soqlString(describe.name)}`
+    ),
+    OBJECT_PERMISSIONS,
+    systemObjectGrant
+  );
+  const result = {
+    user: {
+      id: user.Id,
+      username: user.Username,
+      name: user.Name,
+      active: user.IsActive,
+      profile: user.Profile?.Name,
+    },
+    sobject: describe.name,
+    assignments: sources.map((s) => ({
+      kind: s.kind,
+      name: s.name,
+      expires: s.expires,
+      permissionSets:
+        s.kind === "permissionSetGroup"
+          ? s.grants.map((p) => p.name)
+          : undefined,
+      mutingPermissionSets: s.mutes.length
+        ? s.mutes.map((p) => p.name)
+        : undefined,
+    })),
+    object: objectAccess,
+  };
+  for (const access of Object.values(objectAccess)) {
+    access.blockedBy = blockReason(access);
+  }
+
+  if (field) {
+    const objectRead = {
+      allowed: objectAccess.read.allowed,
+      reason: `no read access to ${describe.name} (${objectAccess.read.blockedBy})`,
+    };
+    const objectEdit = {
+      allowed: objectAccess.edit.allowed,
+      reason: `no edit access to ${describe.name} (${objectAccess.edit.blockedBy})`,
+    };
+    let fieldAccess;
+    if (field.permissionable === false) {
+      const grantedBy = ["not controlled by field-level security"];
+      fieldAccess = {
+        read: { allowed: true, grantedBy },
+        edit: { allowed: field.updateable || field.createable, grantedBy },
+      };
+    } else {
+      fieldAccess = evaluatePermissions(
+        sources,
+        await rowsByParent(
+          "FieldPermissions",
+          Object.values(FIELD_PERMISSIONS),
+          `Field = ${soqlString(`${describe.name}.${field.name}`)}`
+        ),
+        FIELD_PERMISSIONS
+      );
+    }
+    const read = {
+      ...fieldAccess.read,
+      allowed: fieldAccess.read.allowed && objectRead.allowed,
+    };
+    read.blockedBy = blockReason(fieldAccess.read, objectRead);
+    const edit = {
+      ...fieldAccess.edit,
+      allowed:
+        fieldAccess.edit.allowed && objectEdit.allowed && !field.calculated,
+    };
+    edit.blockedBy = field.calculated
+      ? "the field is calculated and never editable"
+      : blockReason(fieldAccess.edit, objectEdit);
+    if (!edit.blockedBy && !edit.allowed) {
+      edit.blockedBy = "the field is read-only";
+    }
+    result.field = { name: field.name, read, edit };
+  }
+
+  const target = field ? `${describe.name}.${field.name}` : describe.name;
+  const access = field ? result.field : objectAccess;
+  result.verdict = access.edit.allowed
+    ? `${user.Username} can read and edit ${target}.`
+    : access.read.allowed
+      ? `${user.Username} can read but not edit ${target}: ${access.edit.blockedBy}.`
+      : `${user.Username} cannot read ${target}: ${access.read.blockedBy}.`;
+  if (includeSharing) {
+    result.sharing = await sharingDefaults(
+      orgAlias,
+      describe.name,
+      user,
+      objectAccess
+    );
+  }
+  return result;
+}
+
+function permissionParent(row) {
+  const parent = row.Parent;
+  if (parent.IsOwnedByProfile) {
+    return { kind: "profile", name: parent.Profile?.Name };
+  }
+  return {
+    kind: parent.Type === "Group" ? "permissionSetGroup" : "permissionSet",
+    name: parent.Label || parent.Name,
+  };
+}
+
+// Reverse lookup: who can edit a field. Group permission sets carry the
+// group's combined (already muted) permissions, so they are read as-is.
+async function whoCanEditField(orgAlias, sobject, fieldName, opts = {}) {
+  const maxUsers = opts.maxUsers || MAX_PERMISSION_USERS;
+  const describe = await describeSObject(orgAlias, sobject);
+  const field = describe.fields.find(
+    (f) => f.name.toLowerCase() === fieldName.toLowerCase()
+  );
+  if (!field) throw new Error(`No field ${fieldName} on ${describe.name}`);
+  if (field.calculated || !(field.updateable || field.createable)) {
+    return {
+      field: `${describe.name}.${field.name}`,
+      permissionSets: [],
+      users: [],
+      note: "The field is read-only, so nobody can edit it.",
+    };
+  }
+  const { records: objectEditRows } = await sfQueryAll(
+    orgAlias,
+    `SELECT ${PERMISSION_PARENT_FIELDS.join(", ")} FROM ObjectPermissions WHERE SobjectType = ${soqlString(describe.name)} AND PermissionsEdit = true`,
+    { maxRecords: Infinity }
+  );
+  // Modify All Data grants edit on every object without ObjectPermissions
+  // rows, so those permission sets are added in the same shape.
+  const { records: modifyAllData } = await sfQueryAll(
+    orgAlias,
+    "SELECT Id, Name, Label, Type, IsOwnedByProfile, Profile.Name FROM PermissionSet WHERE PermissionsModifyAllData = true",
+    { maxRecords: Infinity }
+  );
+  const objectRows = [
+    ...objectEditRows,
+    ...modifyAllData
+      .filter((p) => !objectEditRows.some((r) => r.ParentId === p.Id))
+      .map(({ attributes, Id, ...parent }) => ({ ParentId: Id, Parent: parent })),
+  ];
+  const objectEditParents = new Set(objectRows.map((r) => r.ParentId));
+  const { records: fieldRows } =
+    field.permissionable === false
+      ? { records: objectRows }
+      : await sfQueryAll(
+          orgAlias,
+          `SELECT ${PERMISSION_PARENT_FIELDS.join(", ")} FROM FieldPermissions WHERE SobjectType = ${soqlString(describe.name)} AND Field = ${soqlString(`${describe.name}.${field.name}`)} AND PermissionsEdit = true`,
+          { maxRecords: Infinity }
+        );
+  const granting = fieldRows.filter((r) => r.Parent.Type !== "Muting");
+  const parents = new Map(granting.map((r) => [r.ParentId, r]));
+  const permissionSets = granting.map((r) => ({
+    id: r.ParentId,
+    ...permissionParent(r),
+    objectEdit: objectEditParents.has(r.ParentId),
+  }));
+
+  const assignments = await queryWhereIn(
+    orgAlias,
+    "PermissionSetAssignment",
+    ["AssigneeId", "Assignee.Username", "Assignee.Name", "PermissionSetId"],
+    "PermissionSetId",
+    [...parents.keys()],
+    { where: "Assignee.IsActive = true", maxRecords: Infinity }
+  );
+  const users = new Map();
+  for (const a of assignments) {
+    if (!users.has(a.AssigneeId)) {
+      users.set(a.AssigneeId, {
+        id: a.AssigneeId,
+        username: a.Assignee.Username,
+        name: a.Assignee.Name,
+        fieldEditFrom: [],
+      });
+    }
+    users
+      .get(a.AssigneeId)
+      .fieldEditFrom.push(
+        permissionSourceLabel(permissionParent(parents.get(a.PermissionSetId)))
+      );
+  }
+  // Field edit only counts together with edit access to the object, which
+  // may come from a different assignment.
+  const allAssignments = await queryWhereIn(
+    orgAlias,
+    "PermissionSetAssignment",
+    ["AssigneeId", "PermissionSetId"],
+    "AssigneeId",
+    [...users.keys()],
+    { maxRecords: Infinity }
+  );
+  const withObjectEdit = new Set(
+    allAssignments
+      .filter((a) => objectEditParents.has(a.PermissionSetId))
+      .map((a) => a.AssigneeId)
+  );
+  const editors = [...users.values()].filter((u) => withObjectEdit.has(u.id));
+  return {
+    field: `${describe.name}.${field.name}`,
+    permissionSets,
+    userCount: editors.length,
+    users: editors.slice(0, maxUsers),
+    truncated: editors.length > maxUsers,
+    withoutObjectEdit: users.size - editors.length,
+  };
+}
+
+// ─── Org Compare ───────────────────────────────────────────
+const COMPARED_FIELD_PROPERTIES = [
+  "type",
+  "length",
+  "precision",
+  "scale",
+  "required",
+  "referenceTo",
+  "picklistValues",
+];
+
+// Each type lists the Tooling query, a unique key per component and the
+// properties worth comparing (Apex bodies are compared by hash).
+const COMPARE_METADATA_TYPES = {
+  ApexClass: {
+    query:
+      "SELECT NamespacePrefix, Name, ApiVersion, Status, Body FROM ApexClass",
+    key: (r) => qualifiedName(r.NamespacePrefix, r.Name),
+    props: (r) => ({
+      apiVersion: r.ApiVersion,
+      status: r.Status,
+      bodyHash: bodyHash(r.Body),
+    }),
+  },
+  ApexTrigger: {
+    query:
+      "SELECT NamespacePrefix, Name, TableEnumOrId, ApiVersion, Status, Body FROM ApexTrigger",
+    key: (r) => qualifiedName(r.NamespacePrefix, r.Name),
+    props: (r) => ({
+      sobject: r.TableEnumOrId,
+      apiVersion: r.ApiVersion,
+      status: r.Status,
+      bodyHash: bodyHash(r.Body),
+    }),
+  },
+  Flow: {
+    query:
+      "SELECT NamespacePrefix, DeveloperName, ActiveVersion.VersionNumber, LatestVersion.VersionNumber FROM FlowDefinition",
+    key: (r) => qualifiedName(r.NamespacePrefix, r.DeveloperName),
+    props: (r) => ({
+      active: Boolean(r.ActiveVersion),
+      activeIsLatest:
+        r.ActiveVersion?.VersionNumber === r.LatestVersion?.VersionNumber,
+    }),
+  },
+  ValidationRule: {
+    query:
+      "SELECT NamespacePrefix, ValidationName, EntityDefinition.QualifiedApiName, Active, ErrorDisplayField, ErrorMessage FROM ValidationRule",
+    key: (r) =>
+      `${r.EntityDefinition?.QualifiedApiName}.${qualifiedName(r.NamespacePrefix, r.ValidationName)}`,
+    props: (r) => ({
+      active: r.Active,
+      errorDisplayField: r.ErrorDisplayField,
+      errorMessage: r.ErrorMessage,
+    }),
+  },
+};
+
+function qualifiedName(namespace, name) {
+  return namespace ? `${namespace}__${name}` : name;
+}
+
+function bodyHash(body) {
+  if (body == null || body === "(hidden)") return undefined;
+  return createHash("sha256")
+    .update(body.replace(/\r\n/g, "\n").trimEnd())
+    .digest("hex")
+    .slice(0, 16);
+}
+
+function diffProperties(source, target) {
+  const changes = {};
+  for (const name of Object.keys(source)) {
+    const a = source[name];
+    const b = target[name];
+    if (stableStringify(a) === stableStringify(b)) continue;
+    if (Array.isArray(a) && Array.isArray(b)) {
+      changes[name] = {
+        onlyInSource: a.filter((v) => !b.includes(v)),
+        onlyInTarget: b.filter((v) => !a.includes(v)),
+      };
+    } else {
+      changes[name] = { source: a, target: b };
+    }
+  }
+  return Object.keys(changes).length ? changes : null;
+}
+
+// Compares two lists of { key } items by key; `describe(item)` returns
+// the properties to diff for items present in both.
+function diffLists(sourceItems, targetItems, describe) {
+  const source = new Map(sourceItems.map((i) => [i.key.toLowerCase(), i]));
+  const target = new Map(targetItems.map((i) => [i.key.toLowerCase(), i]));
+  const result = { onlyInSource: [], onlyInTarget: [], different: [] };
+  let identical = 0;
+  for (const [key, item] of source) {
+    if (!target.has(key)) {
+      result.onlyInSource.push(item.key);
+      continue;
+    }
+    const changes = diffProperties(
+      describe(item),
+      describe(target.get(key))
+    );
+    if (changes) result.different.push({ name: item.key, changes });
+    else identical++;
+  }
+  for (const [key, item] of target) {
+    if (!source.has(key)) result.onlyInTarget.push(item.key);
+  }
+  return { ...result, identical };
+}
+
+async function describeIfExists(orgAlias, sobject) {
+  try {
+    return await describeSObject(orgAlias, sobject);
+  } catch (err) {
+    if (err.message.includes("NOT_FOUND")) return null;
+    throw err;
+  }
+}
+
+async function compareSObject(sourceOrg, targetOrg, sobject) {
+  const [source, target] = await Promise.all([
+    describeIfExists(sourceOrg, sobject),
+    describeIfExists(targetOrg, sobject),
+  ]);
+  if (!source || !target) {
+    return { missingIn: !source ? (target ? "source" : "both") : "target" };
+  }
+  const fields = (describe) =>
+    describe.fields.map((f) => ({ key: f.name, field: summarizeField(f) }));
+  return diffLists(fields(source), fields(target), ({ field }) =>
+    Object.fromEntries(COMPARED_FIELD_PROPERTIES.map((p) => [p, field[p]]))
+  );
+}
+
+async function compareMetadataType(sourceOrg, targetOrg, type) {
+  const spec = COMPARE_METADATA_TYPES[type];
+  if (!spec) {
+    throw new Error(
+      `Cannot compare ${type}. Supported: ${Object.keys(COMPARE_METADATA_TYPES).join(", ")}`
+    );
+  }
+  const load = async (orgAlias) => {
+    const { records } = await sfQueryAll(orgAlias, spec.query, {
+      tooling: true,
+      maxRecords: 50000,
+    });
+    return records.map((r) => ({ key: spec.key(r), props: spec.props(r) }));
+  };
+  const [source, target] = await Promise.all([
+    load(sourceOrg),
+    load(targetOrg),
+  ]);
+  const diff = diffLists(source, target, (item) => item.props);
+  return { sourceCount: source.length, targetCount: target.length, ...diff };
+}
+
+async function compareOrgs(sourceOrg, targetOrg, opts = {}) {
+  const { sobjects = [], metadataTypes = [] } = opts;
+  const result = {
+    source: getOrg(sourceOrg)._alias,
+    target: getOrg(targetOrg)._alias,
+  };
+  if (result.source === result.target) {
+    throw new Error("Choose two different orgs to compare");
+  }
+  if (sobjects.length) {
+    result.sobjects = {};
+    for (const sobject of sobjects) {
+      result.sobjects[sobject] = await compareSObject(
+        sourceOrg,
+        targetOrg,
+        sobject
+      );
+    }
+  }
+  if (metadataTypes.length) {
+    result.metadata = {};
+    for (const type of metadataTypes) {
+      result.metadata[type] = await compareMetadataType(
+        sourceOrg,
+        targetOrg,
+        type
+      );
+    }
+  }
+  return result;
+}
+
+// ─── Schema Graph ──────────────────────────────────────────
+const GRAPH_FIELD_MODES = ["keys", "all", "none"];
+const PLUMBING_FIELDS = [
+  "CreatedById",
+  "LastModifiedById",
+  "OwnerId",
+  "MasterRecordId",
+];
+const PLUMBING_OBJECTS = new Set([
+  "ActivityHistory",
+  "AttachedContentDocument",
+  "Attachment",
+  "CombinedAttachment",
+  "ContentDocumentLink",
+  "ContentVersion",
+  "DuplicateRecordItem",
+  "EmailMessage",
+  "EntitySubscription",
+  "FlowRecordRelation",
+  "Note",
+  "NoteAndAttachment",
+  "OpenActivity",
+  "ProcessException",
+  "ProcessInstance",
+  "ProcessInstanceHistory",
+  "RecordAction",
+  "TopicAssignment",
+]);
+const PLUMBING_OBJECT_SUFFIX = /(History|Share|Feed|ChangeEvent|__Tag)$/;
+
+function isPlumbingObject(name) {
+  return PLUMBING_OBJECTS.has(name) || PLUMBING_OBJECT_SUFFIX.test(name);
+}
+
+function graphReferences(describe, includeSystem) {
+  return describe.fields.filter(
+    (f) =>
+      f.type === "reference" &&
+      (includeSystem || !PLUMBING_FIELDS.includes(f.name))
+  );
+}
+
+// Breadth-first walk over lookups and child relationships. Every object
+// reached is described so its edges carry master-detail/required details.
+async function walkSchema(orgAlias, opts) {
+  const { sobjects, depth, includeChildren, includeSystem, maxObjects } = opts;
+  const describes = new Map();
+  const levels = new Map();
+  let queue = sobjects.map((name) => ({ name, level: 0 }));
+  let truncated = false;
+  while (queue.length) {
+    const next = [];
+    for (const { name, level } of queue) {
+      if (describes.has(name)) continue;
+      if (describes.size >= maxObjects) {
+        truncated = true;
+        break;
+      }
+      const describe = await describeSObject(orgAlias, name);
+      describes.set(describe.name, describe);
+      levels.set(describe.name, level);
+      if (level >= depth) continue;
+      const neighbours = graphReferences(describe, includeSystem).flatMap(
+        (f) => f.referenceTo
+      );
+      if (includeChildren) {
+        for (const r of describe.childRelationships) {
+          if (includeSystem || r.relationshipName) {
+            neighbours.push(r.childSObject);
+          }
+        }
+      }
+      for (const neighbour of new Set(neighbours)) {
+        if (!includeSystem && isPlumbingObject(neighbour)) continue;
+        if (!describes.has(neighbour)) {
+          next.push({ name: neighbour, level: level + 1 });
+        }
+      }
+    }
+    queue = truncated ? [] : next;
+  }
+  return { describes, levels, truncated };
+}
+
+function graphEdges(describes, includeSystem) {
+  const edges = [];
+  for (const [name, describe] of describes) {
+    for (const field of graphReferences(describe, includeSystem)) {
+      for (const target of field.referenceTo) {
+        const parent = describes.get(target);
+        if (!parent) continue;
+        const child = parent.childRelationships.find(
+          (r) => r.childSObject === name && r.field === field.name
+        );
+        edges.push({
+          from: name,
+          to: target,
+          field: field.name,
+          relationshipName: field.relationshipName || undefined,
+          childRelationshipName: child?.relationshipName || undefined,
+          type: field.relationshipOrder != null ? "master-detail" : "lookup",
+          required: !field.nillable,
+          cardinality: "many-to-one",
+        });
+      }
+    }
+  }
+  return edges;
+}
+
+function graphFields(describe, edges, mode, includeSystem) {
+  if (mode === "none") return [];
+  const foreignKeys = new Set(
+    edges.filter((e) => e.from === describe.name).map((e) => e.field)
+  );
+  return describe.fields
+    .filter(
+      (f) =>
+        mode === "all" ||
+        f.name === "Id" ||
+        foreignKeys.has(f.name) ||
+        (!f.nillable &&
+          f.createable &&
+          !f.defaultedOnCreate &&
+          (includeSystem || !PLUMBING_FIELDS.includes(f.name)))
+    )
+    .map((f) => ({
+      name: f.name,
+      type: f.type,
+      key: f.name === "Id" ? "PK" : foreignKeys.has(f.name) ? "FK" : undefined,
+      required: !f.nillable || undefined,
+    }));
+}
+
+function toMermaidErd(nodes, edges) {
+  const lines = ["erDiagram"];
+  for (const node of nodes) {
+    if (!node.fields.length) {
+      lines.push(`  ${node.name}`);
+      continue;
+    }
+    lines.push(`  ${node.name} {`);
+    for (const f of node.fields) {
+      const keys = f.key ? ` ${f.key}` : "";
+      const note = f.required && !f.key ? ' "required"' : "";
+      lines.push(`    ${f.type} ${f.name}${keys}${note}`);
+    }
+    lines.push("  }");
+  }
+  for (const e of edges) {
+    // Solid lines are master-detail, dotted lines are lookups.
+    const parentEnd = e.required ? "||" : "|o";
+    const line = e.type === "master-detail" ? "--" : "..";
+    lines.push(
+      `  ${e.to} ${parentEnd}${line}o{ ${e.from} : "${e.field} (${e.type})"`
+    );
+  }
+  return lines.join("\n");
+}
+
+async function buildSchemaGraph(orgAlias, opts) {
+  const {
+    sobjects,
+    depth = 1,
+    includeChildren = true,
+    includeSystem = false,
+    fields = "keys",
+    maxObjects = 40,
+  } = opts;
+  if (!sobjects?.length) throw new Error("Provide at least one sObject");
+  if (!GRAPH_FIELD_MODES.includes(fields)) {
+    throw new Error(`fields must be one of: ${GRAPH_FIELD_MODES.join(", ")}`);
+  }
+  const { describes, levels, truncated } = await walkSchema(orgAlias, {
+    sobjects,
+    depth,
+    includeChildren,
+    includeSystem,
+    maxObjects,
+  });
+  const edges = graphEdges(describes, includeSystem);
+  const nodes = [...describes.values()].map((d) => ({
+    name: d.name,
+    label: d.label,
+    custom: d.custom,
+    level: levels.get(d.name),
+    fields: graphFields(d, edges, fields, includeSystem),
+  }));
+  return {
+    objectCount: nodes.length,
+    edgeCount: edges.length,
+    truncated: truncated || undefined,
+    mermaid: toMermaidErd(nodes, edges),
+    nodes,
+    edges,
+  };
+}
+
+// ─── Data Tree ─────────────────────────────────────────────
+const TREE_PLAN_VERSION = 1;
+const TREE_ID_CHUNK = 200;
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+function exportableFields(describe) {
+  return describe.fields
+    .filter((f) => f.name === "Id" || (f.createable && !f.calculated))
+    .map((f) => f.name);
+}
+
+async function queryWhereIn(orgAlias, sobject, fields, field, values, opts) {
+  const { where, ...queryOpts } = opts || {};
+  const unique = [...new Set(values)];
+  const records = [];
+  for (let i = 0; i < unique.length; i += TREE_ID_CHUNK) {
+    const list = unique.slice(i, i + TREE_ID_CHUNK).map(soqlLiteral);
+    const filter = `${field} IN (${list.join(",")})${where ? ` AND ${where}` : ""}`;
+    const page = await sfQueryAll(
+      orgAlias,
+      `SELECT ${fields.join(", ")} FROM ${sobject} WHERE ${filter}`,
+      queryOpts
+    );
+    records.push(...page.records);
+  }
+  return records;
+}
+
+function storeRecords(store, sobject, records) {
+  if (!store.has(sobject)) store.set(sobject, new Map());
+  const byId = store.get(sobject);
+  for (const { attributes, ...record } of records) byId.set(record.Id, record);
+  return records.map((r) => r.Id);
+}
+
+// Follows one child relationship (e.g. Contacts) or lookup (e.g. Parent or
+// ParentId) from the records already exported for `node`.
+async function followRelationship(orgAlias, node, name, store, opts) {
+  const describe = await describeSObject(orgAlias, node.sobject);
+  const lower = name.toLowerCase();
+  const child = describe.childRelationships.find(
+    (r) => r.relationshipName?.toLowerCase() === lower
+  );
+  if (child) {
+    const childDescribe = await describeSObject(orgAlias, child.childSObject);
+    const records = await queryWhereIn(
+      orgAlias,
+      child.childSObject,
+      exportableFields(childDescribe),
+      child.field,
+      node.ids,
+      opts
+    );
+    return {
+      sobject: child.childSObject,
+      ids: storeRecords(store, child.childSObject, records),
+    };
+  }
+  const lookup = describe.fields.find(
+    (f) =>
+      f.type === "reference" &&
+      (f.name.toLowerCase() === lower ||
+        f.relationshipName?.toLowerCase() === lower)
+  );
+  if (!lookup) {
+    throw new Error(
+      `${name} is not a child relationship or lookup on ${node.sobject}`
+    );
+  }
+  if (lookup.referenceTo.length !== 1) {
+    throw new Error(
+      `${node.sobject}.${lookup.name} is polymorphic and cannot be followed`
+    );
+  }
+  const target = lookup.referenceTo[0];
+  const ids = [
+    ...new Set(
+      node.ids
+        .map((id) => store.get(node.sobject).get(id)[lookup.name])
+        .filter(Boolean)
+    ),
+  ];
+  const missing = ids.filter((id) => !store.get(target)?.has(id));
+  if (missing.length) {
+    const records = await queryWhereIn(
+      orgAlias,
+      target,
+      exportableFields(await describeSObject(orgAlias, target)),
+      "Id",
+      missing,
+      opts
+    );
+    storeRecords(store, target, records);
+  }
+  return {
+    sobject: target,
+    ids: ids.filter((id) => store.get(target)?.has(id)),
+  };
+}
+
+// Replaces lookups between exported records with reference ids
+// ("AccountRef1") so the plan can be loaded into any org.
+async function buildTreePlan(orgAlias, store) {
+  const refs = new Map();
+  for (const [sobject, byId] of store) {
+    for (const id of byId.keys()) {
+      refs.set(id, `${sobject}Ref${refs.size + 1}`);
+    }
+  }
+  const objects = [];
+  for (const [sobject, byId] of store) {
+    const describe = await describeSObject(orgAlias, sobject);
+    const references = new Set(
+      describe.fields.filter((f) => f.type === "reference").map((f) => f.name)
+    );
+    const records = [...byId.values()].map(({ Id, ...values }) => {
+      const record = { ref: refs.get(Id), fields: {}, references: {} };
+      for (const [name, value] of Object.entries(values)) {
+        if (value == null) continue;
+        if (references.has(name) && refs.has(value)) {
+          record.references[name] = refs.get(value);
+        } else {
+          record.fields[name] = value;
+        }
+      }
+      return record;
+    });
+    objects.push({ sobject, records });
+  }
+  return objects;
+}
+
+async function exportTree(orgAlias, opts) {
+  const { query, relationships = [], maxRecords } = opts;
+  const { records: roots } = await sfQueryAll(orgAlias, query, { maxRecords });
+  const plan = {
+    version: TREE_PLAN_VERSION,
+    sourceOrg: getOrg(orgAlias)._alias,
+    exportedAt: new Date().toISOString(),
+    query,
+    relationships,
+  };
+  if (!roots.length) return { ...plan, recordCount: 0, objects: [] };
+  if (!roots[0].Id) throw new Error("The root query must select Id");
+  const sobject = roots[0].attributes.type;
+  const store = new Map();
+  const rootRecords = await queryWhereIn(
+    orgAlias,
+    sobject,
+    exportableFields(await describeSObject(orgAlias, sobject)),
+    "Id",
+    roots.map((r) => r.Id),
+    { maxRecords }
+  );
+  const nodes = new Map([
+    ["", { sobject, ids: storeRecords(store, sobject, rootRecords) }],
+  ]);
+  for (const path of relationships) {
+    const segments = path.split(".");
+    for (let depth = 1; depth <= segments.length; depth++) {
+      const key = segments.slice(0, depth).join(".");
+      if (nodes.has(key)) continue;
+      const parent = nodes.get(segments.slice(0, depth - 1).join("."));
+      nodes.set(
+        key,
+        await followRelationship(orgAlias, parent, segments[depth - 1], store, {
+          maxRecords,
+        })
+      );
+    }
+  }
+  const objects = await buildTreePlan(orgAlias, store);
+  const recordCount = objects.reduce((n, o) => n + o.records.length, 0);
+  return { ...plan, recordCount, objects };
+}
+
+// Drops fields the target org won't accept and, unless asked to keep them,
+// lookups that still hold ids from the source org.
+async function prepareTreeRecords(orgAlias, plan, opts) {
+  const { skipReadOnly, keepUnmappedIds } = opts;
+  const pending = [];
+  const droppedFields = {};
+  for (const { sobject, records } of plan.objects) {
+    const describe = await describeSObject(orgAlias, sobject);
+    const byName = new Map(
+      describe.fields.map((f) => [f.name.toLowerCase(), f])
+    );
+    const dropped = new Set();
+    for (const record of records) {
+      const fields = {};
+      for (const [name, value] of Object.entries(record.fields || {})) {
+        const field = byName.get(name.toLowerCase());
+        const readOnly = !field || !field.createable;
+        const unmapped = field?.type === "reference" && !keepUnmappedIds;
+        if ((skipReadOnly && readOnly) || unmapped) dropped.add(name);
+        else fields[name] = value;
+      }
+      pending.push({
+        ref: record.ref,
+        sobject,
+        fields,
+        references: record.references || {},
+      });
+    }
+    if (dropped.size) droppedFields[sobject] = [...dropped];
+  }
+  const known = new Set(pending.map((r) => r.ref));
+  for (const record of pending) {
+    for (const ref of Object.values(record.references)) {
+      if (!known.has(ref)) {
+        throw new Error(`${record.ref} references unknown record ${ref}`);
+      }
+    }
+  }
+  return { pending, droppedFields };
+}
+
+async function createTreeBatch(orgAlias, records, idMap, deferred) {
+  const failed = [];
+  const bySObject = groupBy(records, (r) => r.sobject);
+  for (const [sobject, group] of bySObject) {
+    for (let i = 0; i < group.length; i += COLLECTION_BATCH_LIMIT) {
+      const batch = group.slice(i, i + COLLECTION_BATCH_LIMIT);
+      const body = batch.map((r) => {
+        const values = { ...r.fields };
+        for (const [field, ref] of Object.entries(r.references)) {
+          if (idMap[ref]) values[field] = idMap[ref];
+          else deferred.push({ ref: r.ref, sobject, field, target: ref });
+        }
+        return values;
+      });
+      const results = await sfCollection(orgAlias, "create", {
+        sobject,
+        records: body,
+      });
+      results.forEach((res, index) => {
+        if (res.success) idMap[batch[index].ref] = res.id;
+        else {
+          failed.push({
+            ref: batch[index].ref,
+            sobject,
+            errors: normalizeErrors(res.errors),
+          });
+        }
+      });
+    }
+  }
+  return failed;
+}
+
+async function importTree(orgAlias, plan, opts = {}) {
+  if (plan?.version !== TREE_PLAN_VERSION || !Array.isArray(plan.objects)) {
+    throw new Error(
+      `Not a data tree plan (expected version ${TREE_PLAN_VERSION} from sf_data_export)`
+    );
+  }
+  const { pending, droppedFields } = await prepareTreeRecords(orgAlias, plan, {
+    skipReadOnly: opts.skipReadOnly !== false,
+    keepUnmappedIds: opts.keepUnmappedIds,
+  });
+  const idMap = {};
+  let outcome;
+  let journalId;
+  try {
+    outcome = await createTreeRecords(orgAlias, pending, idMap);
+  } finally {
+    // Journaled even if the import stops partway, so whatever was created
+    // can still be undone. Newest first, so an undo deletes children
+    // before their parents.
+    const sobjectByRef = new Map(pending.map((r) => [r.ref, r.sobject]));
+    journalId = await journalChanges(
+      orgAlias,
+      "sf_data_import",
+      Object.keys(idMap)
+        .reverse()
+        .map((ref) => ({
+          sobject: sobjectByRef.get(ref),
+          id: idMap[ref],
+          action: "created",
+        }))
+    );
+  }
+  const { failed, skipped, deferredFailures } = outcome;
+  return {
+    created: Object.keys(idMap).length,
+    journalId,
+    failed,
+    skipped,
+    deferredFailures: deferredFailures.length ? deferredFailures : undefined,
+    droppedFields,
+    idMap,
+  };
+}
+
+// Creates the records in dependency order, filling idMap as they are
+// created, then sets the lookups that had to wait for their targets.
+async function createTreeRecords(orgAlias, pending, idMap) {
+  const failed = [];
+  const skipped = [];
+  const deferred = [];
+  let remaining = pending;
+  while (remaining.length) {
+    const blocked = new Set([...failed, ...skipped].map((r) => r.ref));
+    let changed = true;
+    while (changed) {
+      changed = false;
+      remaining = remaining.filter((r) => {
+        const missing = Object.values(r.references).find((ref) =>
+          blocked.has(ref)
+        );
+        if (!missing) return true;
+        skipped.push({
+          ref: r.ref,
+          sobject: r.sobject,
+          reason: `Depends on ${missing}, which was not created`,
+        });
+        blocked.add(r.ref);
+        changed = true;
+        return false;
+      });
+    }
+    if (!remaining.length) break;
+    let ready = remaining.filter((r) =>
+      Object.values(r.references).every((ref) => idMap[ref])
+    );
+    // A reference cycle: create one record without its pending lookups,
+    // which are filled in once their targets exist.
+    if (!ready.length) ready = remaining.slice(0, 1);
+    failed.push(...(await createTreeBatch(orgAlias, ready, idMap, deferred)));
+    remaining = remaining.filter((r) => !ready.includes(r));
+  }
+  const updates = deferred.filter((d) => idMap[d.ref] && idMap[d.target]);
+  const deferredFailures = [];
+  for (const [sobject, group] of groupBy(updates, (d) => d.sobject)) {
+    for (let i = 0; i < group.length; i += COLLECTION_BATCH_LIMIT) {
+      const batch = group.slice(i, i + COLLECTION_BATCH_LIMIT);
+      const results = await sfCollection(orgAlias, "update", {
+        sobject,
+        records: batch.map((d) => ({
+          Id: idMap[d.ref],
+          [d.field]: idMap[d.target],
+        })),
+      });
+      results.forEach((res, index) => {
+        if (!res.success) {
+          deferredFailures.push({
+            ref: batch[index].ref,
+            field: batch[index].field,
+            errors: normalizeErrors(res.errors),
+          });
+        }
+      });
+    }
+  }
+  return { failed, skipped, deferredFailures };
+}
+
+// ─── Audit Journal ─────────────────────────────────────────
+// Record writes are appended to a local JSONL journal with the values they
+// replaced, so they can be reviewed and undone later.
+const JOURNAL_FILE = join(CREDS_DIR, "journal.jsonl");
+const PARTNER_NS = "urn:partner.soap.sforce.com";
+
+function sfPartnerSoap(orgAlias, operation, body) {
+  return sfSoap(orgAlias, {
+    path: `/services/Soap/u/${API_VERSION}`,
+    namespace: PARTNER_NS,
+    operation,
+    body,
+  });
+}
+
+function uniqueFields(names) {
+  const seen = new Map();
+  for (const name of names) {
+    if (!seen.has(name.toLowerCase())) seen.set(name.toLowerCase(), name);
+  }
+  return [...seen.values()];
+}
+
+function pickFields(record, names) {
+  const byLower = new Map(
+    Object.keys(record).map((key) => [key.toLowerCase(), key])
+  );
+  const picked = {};
+  for (const name of names) {
+    const key = byLower.get(name.toLowerCase());
+    if (key) picked[key] = record[key];
+  }
+  return picked;
+}
+
+async function sobjectForId(orgAlias, id) {
+  const { sobjects } = await describeGlobal(orgAlias);
+  const match = sobjects.find((s) => s.keyPrefix === id.slice(0, 3));
+  if (!match) throw new Error(`Cannot tell which sObject ${id} belongs to`);
+  return match.name;
+}
+
+// Reads the records in `items` ({ sobject, id, fields }) with their
+// SystemModstamp; `allFields` reads every createable field instead.
+async function fetchCurrentRecords(orgAlias, items, { allFields } = {}) {
+  const found = new Map();
+  for (const [sobject, group] of groupBy(items, (i) => i.sobject)) {
+    const fields = allFields
+      ? exportableFields(await describeSObject(orgAlias, sobject))
+      : group.flatMap((i) => i.fields || []);
+    const records = await queryWhereIn(
+      orgAlias,
+      sobject,
+      uniqueFields(["Id", "SystemModstamp", ...fields]),
+      "Id",
+      group.map((i) => i.id),
+      { maxRecords: group.length }
+    );
+    for (const { attributes, ...record } of records) {
+      found.set(record.Id, record);
+    }
+  }
+  return found;
+}
+
+function appendJournal(entry) {
+  mkdirSync(CREDS_DIR, { recursive: true });
+  const full = {
+    id: randomBytes(6).toString("hex"),
+    timestamp: new Date().toISOString(),
+    ...entry,
+  };
+  appendFileSync(JOURNAL_FILE, `${JSON.stringify(full)}\n`, { mode: 0o600 });
+  return full.id;
+}
+
+function readJournal() {
+  if (!existsSync(JOURNAL_FILE)) return [];
+  return readFileSync(JOURNAL_FILE, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+}
+
+// Journals successful changes. Each change is { sobject, id, action,
+// before, after }; the SystemModstamp after the write is looked up here so
+// an undo can tell whether the record was touched since.
+async function journalChanges(orgAlias, tool, changes, extra = {}) {
+  const written = changes.filter((c) => c.id);
+  if (!written.length) return undefined;
+  const current = await fetchCurrentRecords(
+    orgAlias,
+    written.filter((c) => c.action !== "deleted")
+  );
+  return appendJournal({
+    org: getOrg(orgAlias)._alias,
+    tool,
+    ...extra,
+    changes: written.map((c) => ({
+      ...c,
+      systemModstamp: current.get(c.id)?.SystemModstamp,
+    })),
+  });
+}
+
+async function journaledCreate(orgAlias, tool, sobject, values) {
+  const result = await sfApi(orgAlias, `/sobjects/${sobject}`, {
+    method: "POST",
+    body: values,
+  });
+  const journalId = await journalChanges(orgAlias, tool, [
+    { sobject, id: result.id, action: "created", after: values },
+  ]);
+  return { ...result, journalId };
+}
+
+async function journaledUpdate(orgAlias, tool, sobject, id, values) {
+  const fields = Object.keys(values);
+  const before = await fetchCurrentRecords(orgAlias, [
+    { sobject, id, fields },
+  ]);
+  if (!before.has(id)) throw new Error(`${sobject} ${id} not found`);
+  await sfApi(orgAlias, `/sobjects/${sobject}/${id}`, {
+    method: "PATCH",
+    body: values,
+  });
+  return journalChanges(orgAlias, tool, [
+    {
+      sobject,
+      id,
+      action: "updated",
+      before: pickFields(before.get(id), fields),
+      after: values,
+    },
+  ]);
+}
+
+async function journaledDelete(orgAlias, tool, sobject, id) {
+  const before = await fetchCurrentRecords(orgAlias, [{ sobject, id }], {
+    allFields: true,
+  });
+  await sfApi(orgAlias, `/sobjects/${sobject}/${id}`, { method: "DELETE" });
+  return journalChanges(orgAlias, tool, [
+    { sobject, id, action: "deleted", before: before.get(id) },
+  ]);
+}
+
+// The fields an upsert record writes: a nested relationship like
+// Account: { External_Id__c: ... } writes its lookup field (AccountId), and
+// keys the describe doesn't know are left out.
+function upsertedFields(describe, record) {
+  const byName = new Map(
+    describe.fields.map((f) => [f.name.toLowerCase(), f.name])
+  );
+  const byRelationship = new Map(
+    describe.fields
+      .filter((f) => f.relationshipName)
+      .map((f) => [f.relationshipName.toLowerCase(), f.name])
+  );
+  return Object.entries(record)
+    .filter(([key]) => key !== "attributes")
+    .map(([key, value]) =>
+      value !== null && typeof value === "object"
+        ? byRelationship.get(key.toLowerCase())
+        : byName.get(key.toLowerCase())
+    )
+    .filter(Boolean);
+}
+
+async function journaledUpsert(orgAlias, tool, opts) {
+  const { sobject, field, records, allOrNone } = opts;
+  const describe = await describeSObject(orgAlias, sobject);
+  const fields = uniqueFields(
+    records.flatMap((r) => upsertedFields(describe, r))
+  );
+  const existing = await queryWhereIn(
+    orgAlias,
+    sobject,
+    uniqueFields(["Id", ...fields]),
+    field,
+    records.map((r) => r[field]),
+    { maxRecords: records.length }
+  );
+  const byKey = new Map(existing.map((r) => [String(r[field]), r]));
+  const results = await sfUpsert(orgAlias, sobject, {
+    externalIdField: field,
+    records,
+    allOrNone,
+  });
+  const journalId = await journalChanges(
+    orgAlias,
+    tool,
+    results.map((res, index) => {
+      if (!res.success) return {};
+      const record = records[index];
+      const previous = byKey.get(String(record[field]));
+      return {
+        sobject,
+        id: res.id,
+        action: res.created ? "created" : "updated",
+        before: res.created
+          ? undefined
+          : pickFields(previous || {}, upsertedFields(describe, record)),
+        after: record,
+      };
+    })
+  );
+  return { results, journalId };
+}
+
+async function journaledCollection(orgAlias, tool, operation, opts) {
+  const { sobject, records = [], ids = [], allOrNone } = opts;
+  let items = [];
+  let before = new Map();
+  if (operation === "update") {
+    items = records.map((r) => ({
+      sobject: r.attributes?.type || sobject,
+      id: r.Id,
+      fields: Object.keys(r).filter((k) => k !== "attributes" && k !== "Id"),
+    }));
+    before = await fetchCurrentRecords(orgAlias, items);
+  } else if (operation === "delete") {
+    for (const id of ids) {
+      items.push({ sobject: await sobjectForId(orgAlias, id), id });
+    }
+    before = await fetchCurrentRecords(orgAlias, items, { allFields: true });
+  }
+  const results = await sfCollection(orgAlias, operation, {
+    sobject,
+    records,
+    ids,
+    allOrNone,
+  });
+  const changes = results.map((res, index) => {
+    if (!res.success) return {};
+    if (operation === "create") {
+      const { attributes, ...values } = records[index];
+      return {
+        sobject: attributes?.type || sobject,
+        id: res.id,
+        action: "created",
+        after: values,
+      };
+    }
+    const item = items[index];
+    const previous = before.get(item.id) || {};
+    if (operation === "delete") {
+      return { ...item, action: "deleted", before: previous };
+    }
+    const { attributes, Id, ...values } = records[index];
+    return {
+      sobject: item.sobject,
+      id: item.id,
+      action: "updated",
+      before: pickFields(previous, item.fields),
+      after: values,
+    };
+  });
+  const journalId = await journalChanges(orgAlias, tool, changes);
+  return { results, journalId };
+}
+
+function summarizeJournalEntry(entry, undoneBy) {
+  const actions = {};
+  for (const c of entry.changes) {
+    actions[c.action] = (actions[c.action] || 0) + 1;
+  }
+  return {
+    id: entry.id,
+    timestamp: entry.timestamp,
+    org: entry.org,
+    tool: entry.tool,
+    undoOf: entry.undoOf,
+    sobjects: [...new Set(entry.changes.map((c) => c.sobject))],
+    actions,
+    recordIds: entry.changes.slice(0, 5).map((c) => c.id),
+    undoneBy,
+  };
+}
+
+function browseJournal(opts = {}) {
+  const { entryId, org, sobject, recordId, limit = 20 } = opts;
+  const entries = readJournal();
+  const undoneBy = new Map(
+    entries.filter((e) => e.undoOf).map((e) => [e.undoOf, e.id])
+  );
+  if (entryId) {
+    const entry = entries.find((e) => e.id === entryId);
+    if (!entry) throw new Error(`Journal entry ${entryId} not found`);
+    return { ...entry, undoneBy: undoneBy.get(entry.id) };
+  }
+  const alias = org ? getOrg(org)._alias : undefined;
+  const matches = entries.filter(
+    (e) =>
+      (!alias || e.org === alias) &&
+      (!sobject ||
+        e.changes.some(
+          (c) => c.sobject?.toLowerCase() === sobject.toLowerCase()
+        )) &&
+      (!recordId || e.changes.some((c) => c.id === recordId))
+  );
+  return {
+    journal: JOURNAL_FILE,
+    total: matches.length,
+    entries: matches
+      .slice(-limit)
+      .reverse()
+      .map((e) => summarizeJournalEntry(e, undoneBy.get(e.id))),
+  };
+}
+
+// A change can only be undone while the record is as we left it: created
+// and updated records must still carry our SystemModstamp, deleted ones
+// must still be in the recycle bin.
+async function findUndoConflicts(orgAlias, changes) {
+  const conflicts = [];
+  const live = changes.filter((c) => c.action !== "deleted");
+  const current = await fetchCurrentRecords(orgAlias, live);
+  for (const c of live) {
+    const record = current.get(c.id);
+    if (!record) {
+      conflicts.push({ id: c.id, reason: "Record no longer exists" });
+    } else if (c.systemModstamp && record.SystemModstamp !== c.systemModstamp) {
+      conflicts.push({
+        id: c.id,
+        reason: `Record was modified since (at ${record.SystemModstamp})`,
+      });
+    }
+  }
+  const deleted = changes.filter((c) => c.action === "deleted");
+  for (const [sobject, group] of groupBy(deleted, (c) => c.sobject)) {
+    const ids = group.map((c) => soqlString(c.id)).join(",");
+    const { records } = await sfQueryAll(
+      orgAlias,
+      `SELECT Id FROM ${sobject} WHERE Id IN (${ids}) AND IsDeleted = true`,
+      { includeDeleted: true, maxRecords: group.length }
+    );
+    const binned = new Set(records.map((r) => r.Id));
+    for (const c of group) {
+      if (!binned.has(c.id)) {
+        conflicts.push({
+          id: c.id,
+          reason: "Record is not in the recycle bin (restored or purged)",
+        });
+      }
+    }
+  }
+  return conflicts;
+}
+
+async function undeleteRecords(orgAlias, ids) {
+  const results = [];
+  for (let i = 0; i < ids.length; i += COLLECTION_BATCH_LIMIT) {
+    const result = await sfPartnerSoap(orgAlias, "undelete", {
+      ids: ids.slice(i, i + COLLECTION_BATCH_LIMIT),
+    });
+    results.push(
+      ...asArray(result).map((r) => ({
+        id: r.id,
+        success: r.success === "true",
+        errors: asArray(r.errors).map((e) => ({
+          statusCode: e.statusCode,
+          message: e.message,
+          fields: asArray(e.fields),
+        })),
+      }))
+    );
+  }
+  return results;
+}
+
+function findJournalEntry(entryId, entries = readJournal()) {
+  const entry = entries.find((e) => e.id === entryId);
+  if (!entry) throw new Error(`Journal entry ${entryId} not found`);
+  return entry;
+}
+
+async function undoJournalEntry(entryId, { force } = {}) {
+  const entries = readJournal();
+  const entry = findJournalEntry(entryId, entries);
+  if (entry.undoOf) throw new Error("An undo cannot itself be undone");
+  const previousUndo = entries.find((e) => e.undoOf === entryId);
+  if (previousUndo) {
+    throw new Error(`Entry ${entryId} was already undone by ${previousUndo.id}`);
+  }
+  const org = entry.org;
+  if (!force) {
+    const conflicts = await findUndoConflicts(org, entry.changes);
+    if (conflicts.length) {
+      return {
+        undone: false,
+        conflicts,
+        message:
+          "Records changed since this entry was written. Review them, then pass force: true to undo anyway.",
+      };
+    }
+  }
+  const outcomes = [];
+  const record = (action, items, results) =>
+    results.forEach((res, index) =>
+      outcomes.push({
+        sobject: items[index].sobject,
+        id: items[index].id,
+        action,
+        success: res.success,
+        errors: res.success ? undefined : normalizeErrors(res.errors),
+      })
+    );
+  const byAction = groupBy(entry.changes, (c) => c.action);
+  const created = byAction.get("created") || [];
+  for (let i = 0; i < created.length; i += COLLECTION_BATCH_LIMIT) {
+    const batch = created.slice(i, i + COLLECTION_BATCH_LIMIT);
+    const results = await sfCollection(org, "delete", {
+      ids: batch.map((c) => c.id),
+    });
+    record("deleted", batch, results);
+  }
+  const updated = byAction.get("updated") || [];
+  for (const [sobject, group] of groupBy(updated, (c) => c.sobject)) {
+    for (let i = 0; i < group.length; i += COLLECTION_BATCH_LIMIT) {
+      const batch = group.slice(i, i + COLLECTION_BATCH_LIMIT);
+      const results = await sfCollection(org, "update", {
+        sobject,
+        records: batch.map((c) => ({ Id: c.id, ...c.before })),
+      });
+      record("restored", batch, results);
+    }
+  }
+  const deleted = byAction.get("deleted") || [];
+  if (deleted.length) {
+    const results = await undeleteRecords(
+      org,
+      deleted.map((c) => c.id)
+    );
+    record("undeleted", deleted, results);
+  }
+  const journalId = await journalChanges(
+    org,
+    "sf_journal_undo",
+    outcomes
+      .filter((o) => o.success)
+      .map((o) => ({ sobject: o.sobject, id: o.id, action: o.action })),
+    { undoOf: entryId }
+  );
+  return {
+    undone: outcomes.every((o) => o.success),
+    journalId,
+    successCount: outcomes.filter((o) => o.success).length,
+    failureCount: outcomes.filter((o) => !o.success).length,
+    results: outcomes,
+  };
+}
+
+// ─── Write Protection ──────────────────────────────────────
+// Ordered from most to least restrictive.
+const PROTECTION_LEVELS = ["read-only", "confirm-writes", "unrestricted"];
+const CONFIRM_TTL_MS = 10 * 60 * 1000;
+const pendingConfirmations = new Map();
+
+// Write tools that act on an org other than their org argument.
+const WRITE_TARGET_ORGS = {
+  sf_journal_undo: ({ entry_id }) => findJournalEntry(entry_id).org,
+};
+
+// Anonymous Apex runs through a GET, so the method alone can't tell reads.
+function isWriteRequest(method, url) {
+  return (
+    (method || "GET").toUpperCase() !== "GET" ||
+    /\/executeAnonymous/i.test(url || "")
+  );
+}
+
+// Tools that can change org data, with a predicate for calls that only read.
+const WRITE_TOOLS = {
+  sf_create_record: () => true,
+  sf_update_record: () => true,
+  sf_delete_record: () => true,
+  sf_upsert_record: () => true,
+  sf_upsert_records: () => true,
+  sf_batch_records: () => true,
+  sf_journal_undo: () => true,
+  sf_composite: ({ requests = [] }) =>
+    requests.some((r) => isWriteRequest(r.method, r.url)),
+  sf_bulk_ingest: () => true,
+  sf_data_import: () => true,
+  sf_event_publish: () => true,
+  sf_apex_run: () => true,
+  sf_apex_log_delete: () => true,
+  sf_trace_flag: ({ action }) => action === "create" || action === "delete",
+  sf_debug_level: ({ action }) => action === "create" || action === "delete",
+  sf_metadata_deploy: ({ check_only }) => !check_only,
+  sf_source_save: ({ check_only }) => !check_only,
+  sf_flow_activate: () => true,
+  sf_rest_api: ({ method, endpoint }) => isWriteRequest(method, endpoint),
+};
+
+async function detectProtection(instanceUrl, accessToken) {
+  try {
+    const q = encodeURIComponent("SELECT IsSandbox FROM Organization");
+    const res = await fetch(
+      `${instanceUrl}/services/data/v${API_VERSION}/query?q=${q}`,
+      { headers: { Authorization: `Bearer ${accessToken}` } }
+    );
+    const isSandbox = (await res.json()).records[0].IsSandbox;
+    return {
+      isSandbox,
+      protection: isSandbox ? "unrestricted" : "confirm-writes",
+    };
+  } catch {
+    return { protection: "confirm-writes" };
+  }
+}
+
+// Orgs saved before protection levels existed are classified on first use.
+async function getProtectionLevel(org) {
+  if (org.protection) return org.protection;
+  const result = await sfApi(
+    org._alias,
+    `/query?q=${encodeURIComponent("SELECT IsSandbox FROM Organization")}`
+  );
+  const isSandbox = result.records[0].IsSandbox;
+  const protection = isSandbox ? "unrestricted" : "confirm-writes";
+  updateOrgs((orgs) => {
+    if (orgs[org._alias]) {
+      Object.assign(orgs[org._alias], { isSandbox, protection });
+    }
+  });
+  return protection;
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Binds a confirmation to the exact tool, org and arguments it previewed.
+function writeFingerprint(toolName, alias, args) {
+  const { confirm, dry_run, ...callArgs } = args;
+  return createHash("sha256")
+    .update(stableStringify([toolName, alias, { ...callArgs, org: alias }]))
+    .digest("hex");
+}
+
+function issueConfirmation(toolName, alias, args) {
+  const now = Date.now();
+  for (const [token, entry] of pendingConfirmations) {
+    if (entry.expiresAt < now) pendingConfirmations.delete(token);
+  }
+  const token = randomBytes(4).toString("hex");
+  pendingConfirmations.set(token, {
+    fingerprint: writeFingerprint(toolName, alias, args),
+    expiresAt: now + CONFIRM_TTL_MS,
+  });
+  return token;
+}
+
+function consumeConfirmation(toolName, alias, args) {
+  if (!args.confirm) return false;
+  const entry = pendingConfirmations.get(args.confirm);
+  if (
+    !entry ||
+    entry.expiresAt < Date.now() ||
+    entry.fingerprint !== writeFingerprint(toolName, alias, args)
+  ) {
+    throw new Error(
+      "Invalid or expired confirmation token. Run the call again without confirm to get a new preview."
+    );
+  }
+  pendingConfirmations.delete(args.confirm);
+  return true;
+}
+
+function writePreview(toolName, org, level, args, needsToken) {
+  const { confirm, dry_run, ...callArgs } = args;
+  const preview = {
+    dryRun: true,
+    tool: toolName,
+    org: org._alias,
+    username: org.username,
+    protection: level,
+    request: callArgs,
+  };
+  if (needsToken ?? level === "confirm-writes") {
+    preview.confirmToken = issueConfirmation(toolName, org._alias, args);
+    preview.message = `Nothing was changed. Repeat this exact call with confirm: "${preview.confirmToken}" to run it.`;
+  } else {
+    preview.message = "Nothing was changed (dry run).";
+  }
+  return JSON.stringify(preview, null, 2);
+}
+
+// Returns a dry-run preview when the call must not run yet, or null to
+// proceed.
+async function checkWriteProtection(toolName, args) {
+  const org = getOrg(WRITE_TARGET_ORGS[toolName]?.(args) ?? args.org);
+  const level = await getProtectionLevel(org);
+  if (level === "read-only") {
+    throw new Error(
+      `Org "${org._alias}" is read-only; ${toolName} would modify it. Change the level with sf_org_protection.`
+    );
+  }
+  if (args.dry_run) return writePreview(toolName, org, level, args);
+  if (
+    level === "confirm-writes" &&
+    !consumeConfirmation(toolName, org._alias, args)
+  ) {
+    return writePreview(toolName, org, level, args);
+  }
+  return null;
+}
+
+// ─── OAuth Login Flow ──────────────────────────────────────
+const DEVICE_LOGIN_WAIT_MS = 60000;
+const pendingDeviceLogins = new Map();
+
+async function requestToken(loginUrl, params) {
+  const res = await fetch(`${loginUrl}/services/oauth2/token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams(params),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(
+      data.error_description || data.error || `Token request failed (${res.status})`
+    );
+    err.code = data.error;
+    throw err;
+  }
+  return data;
+}
+
+// Fetches identity and sandbox status for fresh tokens and stores the org.
+async function completeLogin(alias, loginUrl, tokens, extra = {}) {
+  let identity = {};
+  try {
+    const idRes = await fetch(tokens.id, {
+      headers: {
+        Authorization: `Bearer ${tokens.access_token}`,
+      },
+    });
+    if (idRes.ok) identity = await idRes.json();
+  } catch {}
+
+  const orgData = {
+    accessToken: tokens.access_token,
+    refreshToken: tokens.refresh_token,
+    instanceUrl: tokens.instance_url,
+    loginUrl,
+    username: identity.username || extra.username || "",
+    orgId: identity.organization_id || "",
+    displayName: identity.display_name || "",
+    authenticatedAt: new Date().toISOString(),
+    ...extra,
+    ...(await detectProtection(tokens.instance_url, tokens.access_token)),
+  };
+
+  updateOrgs((orgs) => {
+    orgs[alias] = orgData;
+  });
+  return orgData;
+}
+
+function oauthLogin(alias, loginUrl, opts = {}) {
+  const clientId = opts.clientId || CLIENT_ID;
+  const port = opts.port || CALLBACK_PORT;
+  const callbackUrl = `http://localhost:${port}/OauthRedirect`;
+  const codeVerifier = randomBytes(32).toString("base64url");
+  return new Promise((resolve, reject) => {
+    const params = new URLSearchParams({
+      response_type: "code",
+      client_id: clientId,
+      redirect_uri: callbackUrl,
+      scope: "api refresh_token",
+      code_challenge: createHash("sha256")
+        .update(codeVerifier)
+        .digest("base64url"),
+      code_challenge_method: "S256",
+    });
+    const authUrl = `${loginUrl}/services/oauth2/authorize?${params}`;
+    let settled = false;
+
+    const httpServer = createServer(async (req, res) => {
+      if (settled) return;
+      const url = new URL(req.url, `http://localhost:${port}`);
+      if (url.pathname !== "/OauthRedirect") {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+
+      const code = url.searchParams.get("code");
+      const error = url.searchParams.get("error");
+      if (error || !code) {
+        settled = true;
+        res.writeHead(400, { "Content-Type": "text/html" });
+        res.end(
+          `<html><body style="font-family:system-ui;text-align:center;padding:60px"><h2>Authentication failed</h2><p>${error || "No authorization code received"}</p></body></html>`
+        );
+        httpServer.close();
+        reject(new Error(error || "No authorization code received"));
+        return;
+      }
+
+      try {
+        const tokens = await requestToken(loginUrl, {
+          grant_type: "authorization_code",
+          client_id: clientId,
+          redirect_uri: callbackUrl,
+          code,
+          code_verifier: codeVerifier,
+        });
+        const orgData = await completeLogin(alias, loginUrl, tokens, {
+          authMethod: "web",
+          clientId,
+        });
+
+        settled = true;
+        res.writeHead(200, { "Content-Type": "text/html" });
+        res.end(
+          [
+            '<html><body style="font-family:system-ui;text-align:center;padding:60px">',
+            '<h2 style="color:#22c55e">Connected to Salesforce</h2>',
+            `<p style="font-size:18px"><b>${orgData.username}</b></p>`,
+            `<p>Saved as: <code style="background:#f1f5f9;padding:2px 8px;border-radius:4px">${alias}</code></p>`,
+            '<p style="color:#666;margin-top:24px">You can close this window and return to Claude.</p>',
+            "</body></html>",
+          ].join("")
+        );
+        httpServer.close();
+        resolve(orgData);
+      } catch (err) {
+        settled = true;
+        res.writeHead(500, { "Content-Type": "text/html" });
+        res.end(
+          `<html><body style="font-family:system-ui;text-align:center;padding:60px"><h2>Authentication failed</h2><pre>${err.message}</pre></body></html>`
+        );
+        httpServer.close();
+        reject(err);
+      }
+    });
+
+    httpServer.on("error", (err) => {
+      if (!settled) {
+        settled = true;
+        reject(
+          new Error(
+            `Could not start login server on port ${port}: ${err.message}. Is another sf login in progress? Use callback_port, or mode 'device' on machines without a browser.`
+          )
+        );
+      }
+    });
+
+    httpServer.listen(port, () => {
+      const open =
+        process.platform === "darwin"
+          ? "open"
+          : process.platform === "win32"
+            ? "start"
+            : "xdg-open";
+      exec(`${open} "${authUrl}"`);
+    });
+
+    setTimeout(() => {
+      if (!settled) {
+        settled = true;
+        httpServer.close();
+        reject(new Error("Login timed out after 2 minutes. Try again."));
+      }
+    }, 120000);
+  });
+}
+
+// ─── JWT Bearer Flow ───────────────────────────────────────
+function jwtBearerToken(loginUrl, { clientId, username, privateKeyFile }) {
+  if (!clientId || !username || !privateKeyFile) {
+    throw new Error(
+      "JWT login needs client_id, username and private_key_file"
+    );
+  }
+  const encode = (obj) =>
+    Buffer.from(JSON.stringify(obj)).toString("base64url");
+  const unsigned = `${encode({ alg: "RS256", typ: "JWT" })}.${encode({
+    iss: clientId,
+    sub: username,
+    aud: loginUrl,
+    exp: Math.floor(Date.now() / 1000) + 180,
+  })}`;
+  const signature = createSign("RSA-SHA256")
+    .update(unsigned)
+    .sign(readFileSync(privateKeyFile, "utf8"), "base64url");
+  return requestToken(loginUrl, {
+    grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+    assertion: `${unsigned}.${signature}`,
+  });
+}
+
+async function jwtLogin(alias, loginUrl, opts) {
+  const privateKeyFile = resolve(opts.privateKeyFile || "");
+  const tokens = await jwtBearerToken(loginUrl, { ...opts, privateKeyFile });
+  return completeLogin(alias, loginUrl, tokens, {
+    authMethod: "jwt",
+    clientId: opts.clientId,
+    username: opts.username,
+    privateKeyFile,
+  });
+}
+
+// ─── Device Flow ───────────────────────────────────────────
+// The first call returns a user code to enter in any browser; polling then
+// continues in the background until a later call collects the result.
+async function startDeviceLogin(alias, loginUrl, clientId) {
+  const device = await requestToken(loginUrl, {
+    response_type: "device_code",
+    client_id: clientId,
+    scope: "api refresh_token",
+  });
+  const pending = {
+    userCode: device.user_code,
+    verificationUri: device.verification_uri,
+    expiresAt: Date.now() + (device.expires_in || 600) * 1000,
+  };
+  pending.promise = (async () => {
+    let interval = (device.interval || 5) * 1000;
+    while (Date.now() < pending.expiresAt) {
+      await sleep(interval);
+      try {
+        const tokens = await requestToken(loginUrl, {
+          grant_type: "device",
+          client_id: clientId,
+          code: device.device_code,
+        });
+        return completeLogin(alias, loginUrl, tokens, {
+          authMethod: "device",
+          clientId,
+        });
+      } catch (err) {
+        if (err.code === "slow_down") interval += 5000;
+        else if (err.code !== "authorization_pending") throw err;
+      }
+    }
+    throw new Error("Device login expired before it was approved.");
+  })();
+  pending.promise
+    .catch(() => {})
+    .finally(() => {
+      setTimeout(() => pendingDeviceLogins.delete(alias), 10 * 60 * 1000);
+    });
+  pendingDeviceLogins.set(alias, pending);
+  return pending;
+}
+
+async function deviceLogin(alias, loginUrl, clientId) {
+  const pending = pendingDeviceLogins.get(alias);
+  if (!pending) {
+    const started = await startDeviceLogin(alias, loginUrl, clientId);
+    return {
+      status: "pending",
+      alias,
+      userCode: started.userCode,
+      verificationUri: started.verificationUri,
+      message: `Open ${started.verificationUri} in any browser and enter code ${started.userCode}. Then call sf_org_login again with mode 'device' and alias '${alias}' to finish.`,
+    };
+  }
+  const timeout = sleep(DEVICE_LOGIN_WAIT_MS).then(() => null);
+  let orgData;
+  try {
+    orgData = await Promise.race([pending.promise, timeout]);
+  } catch (err) {
+    pendingDeviceLogins.delete(alias);
+    throw err;
+  }
+  if (!orgData) {
+    return {
+      status: "pending",
+      alias,
+      userCode: pending.userCode,
+      verificationUri: pending.verificationUri,
+      message: "Still waiting for approval. Call again once the code is entered.",
+    };
+  }
+  pendingDeviceLogins.delete(alias);
+  return { status: "connected", ...orgData };
+}
+
+// ─── Salesforce CLI Import ─────────────────────────────────
+const SFDX_DIR = join(homedir(), ".sfdx");
+
+function readJsonFile(file) {
+  try {
+    return JSON.parse(readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// The sf CLI keeps its token key in the OS keychain, or in ~/.sfdx/key.json
+// when SFDX_USE_GENERIC_UNIX_KEYCHAIN is set.
+function sfdxCryptoKey() {
+  const generic = readJsonFile(join(SFDX_DIR, "key.json"));
+  if (generic?.key) return generic.key;
+  if (process.platform === "darwin") {
+    try {
+      return execFileSync(
+        "security",
+        ["find-generic-password", "-a", "local", "-s", "sfdx", "-w"],
+        { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }
+      ).trim();
+    } catch {}
+  }
+  return null;
+}
+
+// Tokens are "<iv><ciphertext>:<tag>" in hex. Older CLIs use a 32-char key
+// and a 12-char IV taken as utf8; newer ones a 64-char hex key and 12-byte IV.
+function sfdxDecrypt(value, key) {
+  if (!value || !value.includes(":")) return value;
+  if (!key) {
+    throw new Error(
+      "token is encrypted and the sf CLI key could not be read from the OS keychain"
+    );
+  }
+  const [payload, tag] = value.split(":");
+  const v2 = key.length === 64;
+  const ivLength = v2 ? 24 : 12;
+  const iv = payload.slice(0, ivLength);
+  const decipher = createDecipheriv(
+    "aes-256-gcm",
+    v2 ? Buffer.from(key, "hex") : key,
+    v2 ? Buffer.from(iv, "hex") : iv
+  );
+  try {
+    decipher.setAuthTag(Buffer.from(tag, "hex"));
+    return (
+      decipher.update(payload.slice(ivLength), "hex", "utf8") +
+      decipher.final("utf8")
+    );
+  } catch {
+    throw new Error("could not decrypt token with the sf CLI key");
+  }
+}
+
+function sfdxAliases() {
+  const byUsername = {};
+  const orgs = readJsonFile(join(SFDX_DIR, "alias.json"))?.orgs || {};
+  for (const [alias, username] of Object.entries(orgs)) {
+    (byUsername[username] ||= []).push(alias);
+  }
+  return byUsername;
+}
+
+function listSfdxAuths() {
+  if (!existsSync(SFDX_DIR)) return [];
+  const aliases = sfdxAliases();
+  return readdirSync(SFDX_DIR)
+    .filter((f) => f.endsWith(".json") && f.includes("@"))
+    .map((f) => readJsonFile(join(SFDX_DIR, f)))
+    .filter((auth) => auth?.username && auth.instanceUrl)
+    .map((auth) => ({ auth, aliases: aliases[auth.username] || [] }));
+}
+
+function importSfdxAuths({ aliases, usernames, all, overwrite }) {
+  const entries = listSfdxAuths();
+  const wanted = (e) =>
+    all ||
+    usernames?.includes(e.auth.username) ||
+    e.aliases.some((a) => aliases?.includes(a));
+  const key = sfdxCryptoKey();
+  const imported = [];
+  const failed = [];
+  const existing = loadOrgs();
+  const additions = {};
+
+  for (const { auth, aliases: names } of entries.filter(wanted)) {
+    const alias = names[0] || auth.username;
+    if (existing[alias] && !overwrite) {
+      failed.push({
+        alias,
+        username: auth.username,
+        reason: "alias already connected (pass overwrite to replace it)",
+      });
+      continue;
+    }
+    try {
+      const jwt = !auth.refreshToken && auth.privateKey;
+      if (!auth.refreshToken && !jwt) {
+        throw new Error("no refresh token or JWT key to renew the session");
+      }
+      additions[alias] = {
+        accessToken: sfdxDecrypt(auth.accessToken, key),
+        refreshToken: jwt ? undefined : sfdxDecrypt(auth.refreshToken, key),
+        instanceUrl: auth.instanceUrl,
+        loginUrl: auth.loginUrl || DEFAULT_LOGIN_URL,
+        username: auth.username,
+        orgId: auth.orgId || "",
+        displayName: "",
+        authenticatedAt: new Date().toISOString(),
+        authMethod: jwt ? "jwt" : "sfdx-import",
+        clientId: auth.clientId || CLIENT_ID,
+        // Connected apps with a secret require it on every refresh.
+        clientSecret: sfdxDecrypt(auth.clientSecret, key) || undefined,
+        privateKeyFile: jwt ? auth.privateKey : undefined,
+      };
+      imported.push({ alias, username: auth.username });
+    } catch (err) {
+      failed.push({ alias, username: auth.username, reason: err.message });
+    }
+  }
+  if (imported.length) {
+    updateOrgs((orgs) => Object.assign(orgs, additions));
+  }
+
+  const found = new Set(entries.map((e) => e.auth.username));
+  const foundAliases = new Set(entries.flatMap((e) => e.aliases));
+  for (const username of usernames || []) {
+    if (!found.has(username)) {
+      failed.push({ username, reason: "not found in ~/.sfdx" });
+    }
+  }
+  for (const alias of aliases || []) {
+    if (!foundAliases.has(alias)) {
+      failed.push({ alias, reason: "alias not found in ~/.sfdx" });
+    }
+  }
+  return { imported, failed };
+}
+
+// ─── Output Shaping ────────────────────────────────────────
+const OUTPUT_FORMATS = ["json", "compact", "csv", "markdown"];
+const DEFAULT_MAX_OUTPUT_BYTES = 200000;
+const FILE_PREVIEW_BYTES = 2000;
+
+function stripAttributes(value) {
+  if (Array.isArray(value)) return value.map(stripAttributes);
+  if (!value || typeof value !== "object") return value;
+  const { attributes, ...rest } = value;
+  return Object.fromEntries(
+    Object.entries(rest).map(([k, v]) => [k, stripAttributes(v)])
+  );
+}
+
+// Turns { Owner: { Name } } into { "Owner.Name" }; child relationship
+// subqueries collapse to their records.
+function flattenRecord(record, prefix = "", out = {}) {
+  for (const [key, value] of Object.entries(record)) {
+    const name = prefix + key;
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      if (Array.isArray(value.records)) out[name] = value.records;
+      else flattenRecord(value, `${name}.`, out);
+    } else {
+      out[name] = value;
+    }
+  }
+  return out;
+}
+
+// Finds the list of rows in a result, with a function to put a (possibly
+// shortened) list back in its place.
+function tabularRows(result) {
+  const isRowList = (v) =>
+    Array.isArray(v) && v.every((r) => r && typeof r === "object");
+  if (isRowList(result)) return { rows: result, rebuild: (rows) => rows };
+  if (!result || typeof result !== "object") return null;
+  for (const key of ["records", "searchRecords", "results"]) {
+    if (isRowList(result[key])) {
+      return {
+        rows: result[key],
+        rebuild: (rows) => ({ ...result, [key]: rows }),
+      };
+    }
+  }
+  const entries = Object.entries(result);
+  if (
+    entries.length &&
+    entries.every(([, v]) => v && typeof v === "object" && !Array.isArray(v))
+  ) {
+    return {
+      rows: entries.map(([name, v]) => ({ name, ...v })),
+      rebuild: (rows) =>
+        Object.fromEntries(rows.map(({ name, ...v }) => [name, v])),
+    };
+  }
+  return null;
+}
+
+function cellText(value) {
+  if (value == null) return "";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function toMarkdownTable(rows) {
+  if (!rows.length) return "_No rows_";
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const escape = (v) =>
+    cellText(v).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+  const line = (cells) => `| ${cells.join(" | ")} |`;
+  return [
+    line(columns),
+    line(columns.map(() => "---")),
+    ...rows.map((row) => line(columns.map((c) => escape(row[c])))),
+  ].join("\n");
+}
+
+function truncateText(text, maxBytes, hint) {
+  const bytes = Buffer.byteLength(text);
+  if (bytes <= maxBytes) return text;
+  const cut = Buffer.from(text)
+    .subarray(0, maxBytes)
+    .toString("utf8")
+    .replace(/\uFFFD$/, "");
+  return `${cut}\n\n… [truncated: showing ${maxBytes} of ${bytes} bytes${hint}]`;
+}
+
+// Renders a handler result as text in the requested format, applying row and
+// byte caps, or writes it to a file and returns a preview.
+function shapeOutput(result, opts = {}) {
+  const format = opts.output_format || "json";
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(
+      `output_format must be one of: ${OUTPUT_FORMATS.join(", ")}`
+    );
+  }
+  let text;
+  let rowCount;
+  let rowsTruncated = false;
+  if (typeof result === "string") {
+    text = result;
+  } else {
+    const cleaned = stripAttributes(result);
+    const table = tabularRows(cleaned);
+    let rows = table?.rows;
+    if (rows) {
+      rowCount = rows.length;
+      if (opts.max_rows != null && rows.length > opts.max_rows) {
+        rows = rows.slice(0, opts.max_rows);
+        rowsTruncated = true;
+      }
+    }
+    if (table && (format === "csv" || format === "markdown")) {
+      const flat = rows.map((r) => flattenRecord(r));
+      const scalars = Array.isArray(cleaned)
+        ? []
+        : Object.entries(cleaned).filter(
+            ([, v]) => v === null || typeof v !== "object"
+          );
+      if (format === "csv") {
+        text = toCsv(flat, "");
+      } else {
+        text = [
+          scalars.length
+            ? scalars.map(([k, v]) => `**${k}:** ${cellText(v)}`).join(" · ")
+            : "",
+          toMarkdownTable(flat),
+        ]
+          .filter(Boolean)
+          .join("\n\n");
+      }
+    } else if (format === "compact") {
+      const shaped = table
+        ? table.rebuild(rows.map((r) => flattenRecord(r)))
+        : cleaned;
+      text = JSON.stringify(shaped);
+    } else {
+      text = JSON.stringify(table ? table.rebuild(rows) : cleaned, null, 2);
+    }
+    if (rowsTruncated) {
+      text += `\n\n… [truncated: showing ${rows.length} of ${rowCount} rows]`;
+    }
+  }
+
+  if (opts.output_file) {
+    const file = resolve(opts.output_file);
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, text);
+    return JSON.stringify(
+      {
+        file,
+        bytes: Buffer.byteLength(text),
+        rows: rowCount,
+        preview: truncateText(text, FILE_PREVIEW_BYTES, ""),
+      },
+      null,
+      2
+    );
+  }
+  return truncateText(
+    text,
+    opts.max_bytes || DEFAULT_MAX_OUTPUT_BYTES,
+    ". Use max_rows, a narrower query or output_file to see everything"
+  );
+}
+
+// ─── Tool Definitions ──────────────────────────────────────
+const TOOLS = [
+  {
+    name: "sf_org_login",
+    description:
+      "Connect a Salesforce org. Mode 'web' (default) opens a browser login window; 'device' returns a code to enter in any browser (call again to finish); 'jwt' uses a connected app certificate for headless machines. Use login_url 'https://test.salesforce.com' for sandboxes.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        alias: {
+          type: "string",
+          description:
+            "Short name for this org (e.g. 'prod', 'dev', 'staging')",
+        },
+        login_url: {
+          type: "string",
+          description:
+            "https://login.salesforce.com (production, default) or https://test.salesforce.com (sandbox)",
+        },
+        mode: {
+          type: "string",
+          enum: ["web", "device", "jwt"],
+          description: "Login flow (default: web)",
+        },
+        client_id: {
+          type: "string",
+          description:
+            "Connected app consumer key (required for jwt; defaults to the Salesforce CLI app)",
+        },
+        username: {
+          type: "string",
+          description: "Username to log in as (jwt)",
+        },
+        private_key_file: {
+          type: "string",
+          description:
+            "Absolute path to the PEM private key for the connected app certificate (jwt)",
+        },
+        callback_port: {
+          type: "number",
+          description: `Local port for the web login callback; must match the connected app's callback URL (default: ${CALLBACK_PORT})`,
+        },
+      },
+      required: ["alias"],
+    },
+  },
+  {
+    name: "sf_org_import",
+    description:
+      "Import orgs already authorized in the Salesforce CLI (~/.sfdx), keeping their aliases. Call without arguments to list what can be imported.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        aliases: {
+          type: "array",
+          items: { type: "string" },
+          description: "sf CLI aliases to import",
+        },
+        usernames: {
+          type: "array",
+          items: { type: "string" },
+          description: "Usernames to import",
+        },
+        all: {
+          type: "boolean",
+          description: "Import every authorized org",
+        },
+        overwrite: {
+          type: "boolean",
+          description: "Replace orgs already connected under the same alias",
+        },
+      },
+    },
+  },
+  {
+    name: "sf_org_logout",
+    description: "Disconnect a Salesforce org and remove stored credentials.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        alias: { type: "string", description: "Org alias to disconnect" },
+      },
+      required: ["alias"],
+    },
+  },
+  {
+    name: "sf_org_list",
+    description:
+      "List all connected Salesforce orgs with aliases, usernames, and instance URLs.",
+    inputSchema: { type: "object", properties: {} },
+  },
+  {
+    name: "sf_org_display",
+    description:
+      "Show detailed information about a connected org.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        org: { type: "string", description: "Org alias" },
+      },
+    },
+  },
+  {
+    name: "sf_org_protection",
+    description:
+      "Show or set an org's write protection: read-only (block writes), confirm-writes (preview first, then run with a confirmation token) or unrestricted. Production orgs default to confirm-writes.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        org: { type: "string", description: "Org alias" },
+        level: {
+          type: "string",
+          enum: PROTECTION_LEVELS,
+          description: "New protection level (omit to show the current one)",
+        },
+        confirm: {
+          type: "string",
+          description: "Confirmation token required to loosen protection",
+        },
+      },
+    },
+  },
+  {
+    name: "sf_query",
+    description:
+      "Execute a SOQL query. Follows result pages up to max_records and reports totalSize, fetched and whether results were truncated.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description:
+            'SOQL query (e.g. "SELECT Id, Name FROM Account LIMIT 10")',
+        },
+        org: { type: "string", description: "Org alias" },
+        tooling: {
+          type: "boolean",
+          description: "Query the Tooling API instead",
+        },
+        include_deleted: {
+          type: "boolean",
+          description:
+            "Use queryAll to include deleted and archived records (not available for Tooling queries)",
+        },
+        max_records: {
+          type: "number",
+          description: `Maximum records to fetch across pages (default: ${DEFAULT_MAX_RECORDS})`,
+        },
+        validate: {
+          type: "boolean",
+          description:
+            "Check the object, fields and relationships against the describe first and refuse the query if they don't match, with suggestions for misspellings (default: false; sf_query_check runs the same check on its own)",
+        },
+      },
+      required: ["query"],
+    },
+  },
+  {
+    name: "sf_query_check",
+    description:
+      "Check a SOQL query without running it: validates the object, fields and relationship paths against the describe (suggesting close matches), flags non-selective filters on large objects, and shows the query plan (leading operation, cardinality, relative cost).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "SOQL query" },
+        explain: {
+          type: "boolean",
+          description:
+            "Include the query plan from /query?explain= (default: true)",
+        },
+        org: { type: "string", description: "Org alias" },
+      },
+      required: ["query"],
+    },
+  },
+  {
+    name: "sf_search",
+    description: "Execute a SOSL text search across objects.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: 'SOSL query (e.g. "FIND {Acme} IN ALL FIELDS")',
+        },
+        org: { type: "string", description: "Org alias" },
+        max_records: {
+          type: "number",
+          description: `Maximum records to return (default: ${DEFAULT_MAX_RECORDS})`,
+        },
+      },
+      required: ["query"],
+    },
+  },
+  {
+    name: "sf_describe",
+    description:
+      "Describe an SObject — returns fields, types, relationships, picklist values. Use summary mode and field filters to keep the output small.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        sobject: {
+          type: "string",
+          description: "API name (e.g. Account, Opportunity, Custom__c)",
+        },
+        summary: {
+          type: "boolean",
+          description:
+            "Return only each field's name, label, type, length, required/updateable flags, reference targets and picklist values",
+        },
+        field_pattern: {
+          type: "string",
+          description:
+            "Only fields whose name or label matches (substring, or wildcard like 'Billing*')",
+        },
+        field_type: {
+          type: ["string", "array"],
+          items: { type: "string" },
+          description: "Only fields of these types (e.g. reference, picklist)",
+        },
+        custom_only: {
+          type: "boolean",
+          description: "Only custom fields",
+        },
+        org: { type: "string", description: "Org alias" },
+      },
+      required: ["sobject"],
+    },
+  },
+  {
+    name: "sf_list_objects",
+    description: "List all SObjects available in the org.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        org: { type: "string", description: "Org alias" },
+      },
+    },
+  },
+  {
+    name: "sf_create_record",
+    description: "Create a new record.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        sobject: { type: "string", description: "SObject API name" },
+        values: {
+          type: "object",
+          description:
+            'Field values as JSON (e.g. {"Name": "Acme", "Industry": "Technology"})',
+        },
+        org: { type: "string", description: "Org alias" },
+      },
+      required: ["sobject", "values"],
+    },
+  },
+  {
+    name: "sf_update_record",
+    description: "Update an existing record.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        sobject: { type: "string", description: "SObject API name" },
+        record_id: { type: "string", description: "Record ID" },
+        values: {
+          type: "object",
+          description: "Field values to update",
+        },
+        org: { type: "string", description: "Org alias" },
+      },
+      required: ["sobject", "record_id", "values"],
+    },
+  },
+  {
+    name: "sf_delete_record",
+    description: "Delete a record.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        sobject: { type: "string", description: "SObject API name" },
+        record_id: { type: "string", description: "Record ID" },
+        org: { type: "string", description: "Org alias" },
+      },
+      required: ["sobject", "record_id"],
+    },
+  },
+  {
+    name: "sf_get_record",
+    description: "Retrieve a single record by ID.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        sobject: { type: "string", description: "SObject API name" },
+        record_id: { type: "string", description: "Record ID" },
+        fields: {
+          type: "string",
+          description: "Comma-separated field names (optional, returns all if omitted)",
+        },
+        org: { type: "string", description: "Org alias" },
+      },
+      required: ["sobject", "record_id"],
+    },
+  },
+  {
+    name: "sf_upsert_record",
+    description:
+      "Create or update a record matched on an external ID field. Reports whether the record was created or updated.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        sobject: { type: "string", description: "SObject API name" },
+        external_id_field: {
+          type: "string",
+          description: "External ID field name (e.g. ERP_Id__c)",
+        },
+        external_id: {
+          type: "string",
+          description: "External ID value to match on",
+        },
+        values: {
+          type: "object",
+          description: "Field values to set",
+        },
+        org: { type: "string", description: "Org alias" },
+      },
+      required: ["sobject", "external_id_field", "external_id", "values"],
+    },
+  },
+  {
+    name: "sf_upsert_records",
+    description:
+      "Upsert up to 200 records matched on an external ID field. Each record must include the external ID field.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        sobject: { type: "string", description: "SObject API name" },
+        external_id_field: {
+          type: "string",
+          description: "External ID field name (e.g. ERP_Id__c)",
+        },
+        records: {
+          type: "array",
+          items: { type: "object" },
+          description: "Records to upsert",
+        },
+        all_or_none: {
+          type: "boolean",
+          description:
+            "Roll back the whole batch if any record fails (default: false)",
+        },
+        org: { type: "string", description: "Org alias" },
+      },
+      required: ["sobject", "external_id_field", "records"],
+    },
+  },
+  {
+    name: "sf_batch_records",
+    description:
+      "Create, update or delete up to 200 records in one call via sObject Collections. Returns a result per record with structured errors.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        operation: {
+          type: "string",
+          enum: ["create", "update", "delete"],
+          description: "DML operation",
+        },
+        sobject: {
+          type: "string",
+          description:
+            "SObject API name (used for records without attributes.type)",
+        },
+        records: {
+          type: "array",
+          items: { type: "object" },
+          description:
+            "Records for create/update. Updates need an Id on each record.",
+        },
+        ids: {
+          type: "array",
+          items: { type: "string" },
+          description: "Record IDs for delete",
+        },
+        all_or_none: {
+          type: "boolean",
+          description:
+            "Roll back the whole batch if any record fails (default: false)",
+        },
+        org: { type: "string", description: "Org alias" },
+      },
+      required: ["operation"],
+    },
+  },
+  {
+    name: "sf_journal",
+    description:
+      "Browse the local journal of record changes made through this server (create, update, delete, upsert, batch and import tools), newest first. Pass entry_id to see the before and after values of one entry.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        entry_id: { type: "string", description: "Show one entry in full" },
+        sobject: {
+          type: "string",
+          description: "Only entries touching this sObject",
+        },
+        record_id: {
+          type: "string",
+          description: "Only entries touching this record",
+        },
+        limit: {
+          type: "number",
+          description: "Maximum entries to list (default: 20)",
+        },
+        org: { type: "string", description: "Only entries for this org alias" },
+      },
+    },
+  },
+  {
+    name: "sf_journal_undo",
     description:
-      "Connect a Salesforce org by opening a browser login window. Use login_url 'https://test.salesforce.com' for sandboxes.",
+      "Undo a journal entry: deletes records it created, restores the old field values of records it updated and undeletes records it deleted from the recycle bin. Refuses if any record has changed since, unless force is set.",
     inputSchema: {
       type: "object",
       properties: {
-        alias: {
+        entry_id: { type: "string", description: "Journal entry ID" },
+        force: {
+          type: "boolean",
+          description:
+            "Undo even if records changed since the entry was written",
+        },
+      },
+      required: ["entry_id"],
+    },
+  },
+  {
+    name: "sf_composite",
+    description:
+      "Run several REST subrequests in one transaction. Later subrequests can reference earlier results with @{referenceId.id}, e.g. create an Account and then Contacts with AccountId '@{newAccount.id}'. Changes bypass the journal and can't be undone with sf_journal_undo.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        requests: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              method: {
+                type: "string",
+                enum: ["GET", "POST", "PATCH", "PUT", "DELETE"],
+              },
+              url: {
+                type: "string",
+                description:
+                  "Path relative to the data API (e.g. /sobjects/Account) or a full /services/... path",
+              },
+              referenceId: { type: "string" },
+              body: { type: "object" },
+            },
+            required: ["method", "url"],
+          },
+          description: "Subrequests, executed in order",
+        },
+        all_or_none: {
+          type: "boolean",
+          description:
+            "Roll back everything if any subrequest fails (default: true)",
+        },
+        graph: {
+          type: "boolean",
+          description:
+            "Send as a composite graph (up to 500 subrequests, always all-or-none)",
+        },
+        org: { type: "string", description: "Org alias" },
+      },
+      required: ["requests"],
+    },
+  },
+  {
+    name: "sf_bulk_ingest",
+    description:
+      "Load many records with a Bulk API 2.0 ingest job (insert, update, upsert, delete, hardDelete). Uploads the data, waits for the job and returns successful, failed and unprocessed results. Changes bypass the journal and can't be undone with sf_journal_undo.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        sobject: { type: "string", description: "SObject API name" },
+        operation: {
           type: "string",
+          enum: BULK_OPERATIONS,
+          description: "Ingest operation",
+        },
+        data: {
+          type: ["string", "array"],
+          items: { type: "object" },
           description:
-            "Short name for this org (e.g. 'prod', 'dev', 'staging')",
+            "CSV text with a header row, or a JSON array of records. Use null in JSON to clear a field.",
         },
-        login_url: {
+        external_id_field: {
+          type: "string",
+          description: "External ID field name (required for upsert)",
+        },
+        wait_seconds: {
+          type: "number",
+          description: `How long to wait for the job to finish (default: ${DEFAULT_WAIT_SECONDS})`,
+        },
+        max_results: {
+          type: "number",
+          description: `Maximum rows returned per result set (default: ${DEFAULT_MAX_RECORDS})`,
+        },
+        org: { type: "string", description: "Org alias" },
+      },
+      required: ["sobject", "operation", "data"],
+    },
+  },
+  {
+    name: "sf_data_export",
+    description:
+      "Export related records as a portable JSON plan: starts from a SOQL query and follows child relationships (e.g. Contacts) and lookups (e.g. Parent), with lookups between exported records replaced by reference ids. Save it with output_file and load it with sf_data_import.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
           type: "string",
+          description: "SOQL query selecting Id of the root records",
+        },
+        relationships: {
+          type: "array",
+          items: { type: "string" },
           description:
-            "https://login.salesforce.com (production, default) or https://test.salesforce.com (sandbox)",
+            "Relationship paths to follow from the root, e.g. ['Contacts', 'Contacts.Cases', 'Parent', 'Opportunities.Pricebook2']",
         },
+        max_records: {
+          type: "number",
+          description: `Maximum records per query (default: ${DEFAULT_MAX_RECORDS})`,
+        },
+        org: { type: "string", description: "Org alias" },
       },
-      required: ["alias"],
+      required: ["query"],
     },
   },
   {
-    name: "sf_org_logout",
-    description: "Disconnect a Salesforce org and remove stored credentials.",
+    name: "sf_data_import",
+    description:
+      "Import a plan from sf_data_export: creates records in dependency order and remaps lookups to the new ids. The created records are journaled together, so sf_journal_undo can remove them.",
     inputSchema: {
       type: "object",
       properties: {
-        alias: { type: "string", description: "Org alias to disconnect" },
+        plan: { type: "object", description: "Plan from sf_data_export" },
+        plan_file: {
+          type: "string",
+          description: "Path to a plan saved with output_file",
+        },
+        skip_readonly: {
+          type: "boolean",
+          description:
+            "Drop fields that don't exist or aren't createable in the target org (default: true)",
+        },
+        keep_unmapped_ids: {
+          type: "boolean",
+          description:
+            "Keep lookups to records outside the plan as-is (only useful when ids match, e.g. the same org)",
+        },
+        org: { type: "string", description: "Target org alias" },
       },
-      required: ["alias"],
     },
   },
   {
-    name: "sf_org_list",
+    name: "sf_bulk_query",
     description:
-      "List all connected Salesforce orgs with aliases, usernames, and instance URLs.",
-    inputSchema: { type: "object", properties: {} },
+      "Run a SOQL query as a Bulk API 2.0 query job. Suited to very large result sets.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "SOQL query" },
+        include_deleted: {
+          type: "boolean",
+          description: "Use queryAll to include deleted and archived records",
+        },
+        wait_seconds: {
+          type: "number",
+          description: `How long to wait for the job to finish (default: ${DEFAULT_WAIT_SECONDS})`,
+        },
+        max_records: {
+          type: "number",
+          description: `Maximum records to return (default: ${DEFAULT_MAX_RECORDS})`,
+        },
+        org: { type: "string", description: "Org alias" },
+      },
+      required: ["query"],
+    },
+  },
+  {
+    name: "sf_bulk_job_status",
+    description:
+      "Check a Bulk API 2.0 job started earlier and return its results once it has finished.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        job_id: { type: "string", description: "Bulk job ID" },
+        job_type: {
+          type: "string",
+          enum: ["ingest", "query"],
+          description: "Job type (default: ingest)",
+        },
+        wait_seconds: {
+          type: "number",
+          description: "How long to wait for the job to finish (default: 0)",
+        },
+        max_results: {
+          type: "number",
+          description: `Maximum rows returned per result set (default: ${DEFAULT_MAX_RECORDS})`,
+        },
+        org: { type: "string", description: "Org alias" },
+      },
+      required: ["job_id"],
+    },
+  },
+  {
+    name: "sf_event_publish",
+    description:
+      "Publish one or more platform event messages (X__e). Returns the result for each message.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        event: {
+          type: "string",
+          description: "Platform event API name, e.g. Order_Shipped__e",
+        },
+        values: {
+          type: "object",
+          description: "Field values for a single event message",
+        },
+        events: {
+          type: "array",
+          items: { type: "object" },
+          description: `Field values for several messages (up to ${COLLECTION_BATCH_LIMIT})`,
+        },
+        org: { type: "string", description: "Org alias" },
+      },
+      required: ["event"],
+    },
+  },
+  {
+    name: "sf_stream_subscribe",
+    description:
+      "Listen on a streaming channel (platform event, Change Data Capture or PushTopic) for a bounded window and return the captured events with their replay ids. Pass the returned lastReplayId as replay_id to resume where a previous call stopped.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        channel: {
+          type: "string",
+          description:
+            "Channel such as /event/Order_Shipped__e, /data/AccountChangeEvent, /data/ChangeEvents or /topic/MyPushTopic. Bare names are mapped by suffix.",
+        },
+        window_seconds: {
+          type: "number",
+          description: `How long to listen (default: ${STREAM_WINDOW_SECONDS}, max: ${STREAM_MAX_WINDOW_SECONDS})`,
+        },
+        max_events: {
+          type: "number",
+          description: `Stop after this many events (default: ${STREAM_MAX_EVENTS})`,
+        },
+        replay_id: {
+          type: "number",
+          description:
+            "Replay id to resume after; -1 for new events only (default), -2 for all retained events",
+        },
+        org: { type: "string", description: "Org alias" },
+      },
+      required: ["channel"],
+    },
+  },
+  {
+    name: "sf_apex_run",
+    description:
+      "Execute anonymous Apex code and return its debug log (System.debug output, exceptions and cumulative limits).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        code: { type: "string", description: "Apex code to execute" },
+        debug_log: {
+          type: "boolean",
+          description:
+            "Capture the debug log, switching on a trace flag for the run if needed (default: true)",
+        },
+        raw_log: {
+          type: "boolean",
+          description: "Return the full log instead of the filtered lines",
+        },
+        org: { type: "string", description: "Org alias" },
+      },
+      required: ["code"],
+    },
+  },
+  {
+    name: "sf_apex_test",
+    description:
+      "Run Apex tests and wait for the results: pass/fail counts, failing methods with messages and stack traces, and per-class and org-wide code coverage.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        class_names: {
+          type: "string",
+          description: "Comma-separated test class names",
+        },
+        test_methods: {
+          type: "array",
+          items: { type: "string" },
+          description: "Individual test methods as Class.method",
+        },
+        test_level: {
+          type: "string",
+          enum: ["RunLocalTests", "RunAllTestsInOrg"],
+          description: "Run a whole test level instead of specific tests",
+        },
+        wait_seconds: {
+          type: "number",
+          description: `How long to wait for the run to finish (default: ${DEFAULT_WAIT_SECONDS})`,
+        },
+        coverage: {
+          type: "boolean",
+          description: "Include code coverage (default: true)",
+        },
+        org: { type: "string", description: "Org alias" },
+      },
+    },
+  },
+  {
+    name: "sf_apex_test_status",
+    description:
+      "Check an Apex test run started earlier and return its results once finished.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        job_id: { type: "string", description: "Test run job ID" },
+        wait_seconds: {
+          type: "number",
+          description: "How long to wait for the run to finish (default: 0)",
+        },
+        coverage: {
+          type: "boolean",
+          description: "Include code coverage (default: true)",
+        },
+        org: { type: "string", description: "Org alias" },
+      },
+      required: ["job_id"],
+    },
+  },
+  {
+    name: "sf_apex_log",
+    description:
+      "List Apex debug logs, get a raw log body, or parse a log into a summary: slowest units, SOQL/DML with row counts, SOQL in loops, exceptions, limit hotspots and trigger/flow/validation execution.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        action: {
+          type: "string",
+          enum: ["list", "get", "parse"],
+          description:
+            "List recent logs, get a specific log body, or parse it into a summary",
+        },
+        log_id: {
+          type: "string",
+          description: "Log ID (for 'get' and 'parse' actions)",
+        },
+        top: {
+          type: "number",
+          description:
+            "How many slowest units and statements to list (default: 10)",
+        },
+        include_events: {
+          type: "boolean",
+          description:
+            "Also return every parsed unit, SOQL/DML execution and limit snapshot (for 'parse')",
+        },
+        org: { type: "string", description: "Org alias" },
+      },
+    },
+  },
+  {
+    name: "sf_apex_log_delete",
+    description:
+      "Delete Apex debug logs in bulk, by ID or by age and user.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        log_ids: {
+          type: "array",
+          items: { type: "string" },
+          description: "Specific log IDs to delete",
+        },
+        older_than_hours: {
+          type: "number",
+          description: "Delete logs that started more than this many hours ago",
+        },
+        user: {
+          type: "string",
+          description: 'Only delete logs of this user (username, Id or "me")',
+        },
+        max_logs: {
+          type: "number",
+          description:
+            `Maximum number of logs to delete (default: ${DEFAULT_MAX_RECORDS})`,
+        },
+        org: { type: "string", description: "Org alias" },
+      },
+    },
+  },
+  {
+    name: "sf_trace_flag",
+    description:
+      "List, create or delete debug log trace flags for users and Apex classes or triggers.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        action: {
+          type: "string",
+          enum: ["list", "create", "delete"],
+          description: "Action to perform (default: list)",
+        },
+        traced_entity: {
+          type: "string",
+          description:
+            'Username, Apex class or trigger name, Id, or "me" (for create)',
+        },
+        log_type: {
+          type: "string",
+          enum: TRACE_LOG_TYPES,
+          description:
+            "Log type (default: USER_DEBUG for users, CLASS_TRACING for Apex)",
+        },
+        debug_level: {
+          type: "string",
+          description:
+            `Debug level developer name (default: ${DEBUG_LEVEL_NAME}, created if missing)`,
+        },
+        minutes: {
+          type: "number",
+          description:
+            "How long the flag stays active, up to 1440 (default: 60)",
+        },
+        trace_flag_id: {
+          type: "string",
+          description: "Trace flag ID (for delete)",
+        },
+        org: { type: "string", description: "Org alias" },
+      },
+    },
+  },
+  {
+    name: "sf_debug_level",
+    description: "List, create or delete debug levels used by trace flags.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        action: {
+          type: "string",
+          enum: ["list", "create", "delete"],
+          description: "Action to perform (default: list)",
+        },
+        name: {
+          type: "string",
+          description: "Debug level developer name (for create and delete)",
+        },
+        levels: {
+          type: "object",
+          description:
+            `Log level per category, e.g. {"ApexCode": "FINEST", "Database": "INFO"}. Categories: ${DEBUG_LOG_CATEGORIES.join(", ")}. Levels: ${DEBUG_LOG_LEVELS.join(", ")}`,
+        },
+        org: { type: "string", description: "Org alias" },
+      },
+    },
   },
   {
-    name: "sf_org_display",
+    name: "sf_list_metadata",
     description:
-      "Show detailed information about a connected org.",
+      "List metadata components (ApexClass, ApexTrigger, CustomObject, Flow, etc.) via Tooling API.",
     inputSchema: {
       type: "object",
       properties: {
+        metadata_type: {
+          type: "string",
+          description:
+            "Tooling API type (e.g. ApexClass, ApexTrigger, CustomObject, Flow)",
+        },
         org: { type: "string", description: "Org alias" },
       },
+      required: ["metadata_type"],
     },
   },
   {
-    name: "sf_query",
+    name: "sf_flow_list",
     description:
-      "Execute a SOQL query. Returns matching records in JSON.",
+      "List flow definitions with their label, type, active version and latest version.",
     inputSchema: {
       type: "object",
       properties: {
-        query: {
+        name_pattern: {
           type: "string",
           description:
-            'SOQL query (e.g. "SELECT Id, Name FROM Account LIMIT 10")',
+            "Only flows whose API name matches (substring, or wildcard like 'Account_*')",
         },
-        org: { type: "string", description: "Org alias" },
-        tooling: {
+        active_only: {
           type: "boolean",
-          description: "Query the Tooling API instead",
+          description: "Only flows with an active version (default: false)",
+        },
+        max_records: {
+          type: "number",
+          description: `Maximum flows returned (default: ${DEFAULT_MAX_RECORDS})`,
         },
+        org: { type: "string", description: "Org alias" },
       },
-      required: ["query"],
     },
   },
   {
-    name: "sf_search",
-    description: "Execute a SOSL text search across objects.",
+    name: "sf_flow_get",
+    description:
+      "Fetch a flow version as readable JSON (start conditions, elements, decisions, record operations, variables) with a plain-language summary of its trigger, entry criteria and DML. Defaults to the active version, else the latest.",
     inputSchema: {
       type: "object",
       properties: {
-        query: {
+        flow: {
           type: "string",
-          description: 'SOSL query (e.g. "FIND {Acme} IN ALL FIELDS")',
+          description: "Flow API name or FlowDefinition Id",
+        },
+        version: { type: "number", description: "Version number" },
+        format: {
+          type: "string",
+          enum: ["readable", "summary", "raw"],
+          description:
+            "readable JSON plus summary, summary only, or the raw Flow metadata (default: readable)",
         },
         org: { type: "string", description: "Org alias" },
       },
-      required: ["query"],
+      required: ["flow"],
     },
   },
   {
-    name: "sf_describe",
+    name: "sf_flow_activate",
     description:
-      "Describe an SObject — returns fields, types, relationships, picklist values.",
+      "Activate a flow version (the latest by default), deactivate the flow, or roll back to an earlier version (the one before the active version by default).",
     inputSchema: {
       type: "object",
       properties: {
-        sobject: {
+        flow: {
           type: "string",
-          description: "API name (e.g. Account, Opportunity, Custom__c)",
+          description: "Flow API name or FlowDefinition Id",
         },
+        action: {
+          type: "string",
+          enum: ["activate", "deactivate", "rollback"],
+          description: "What to do (default: activate)",
+        },
+        version: { type: "number", description: "Version number to activate" },
         org: { type: "string", description: "Org alias" },
       },
-      required: ["sobject"],
+      required: ["flow"],
     },
   },
   {
-    name: "sf_list_objects",
-    description: "List all SObjects available in the org.",
+    name: "sf_flow_failures",
+    description:
+      "List recent failed flow interviews with the element they stopped at and the error.",
     inputSchema: {
       type: "object",
       properties: {
+        flow: { type: "string", description: "Only this flow API name" },
+        since_hours: {
+          type: "number",
+          description: `How far back to look (default: ${FLOW_FAILURE_HOURS})`,
+        },
+        limit: {
+          type: "number",
+          description: "Maximum interviews to return (default: 50)",
+        },
         org: { type: "string", description: "Org alias" },
       },
     },
   },
   {
-    name: "sf_create_record",
-    description: "Create a new record.",
+    name: "sf_source_get",
+    description:
+      "Fetch the source of an Apex class, trigger, Visualforce page or component, or every file of an LWC or Aura bundle.",
     inputSchema: {
       type: "object",
       properties: {
-        sobject: { type: "string", description: "SObject API name" },
-        values: {
-          type: "object",
-          description:
-            'Field values as JSON (e.g. {"Name": "Acme", "Industry": "Technology"})',
+        type: {
+          type: "string",
+          enum: [...Object.keys(SOURCE_TYPES), ...Object.keys(BUNDLE_TYPES)],
+          description: "Component type",
+        },
+        name: {
+          type: "string",
+          description: "Class, trigger or page name, or bundle developer name",
         },
         org: { type: "string", description: "Org alias" },
       },
-      required: ["sobject", "values"],
+      required: ["type", "name"],
     },
   },
   {
-    name: "sf_update_record",
-    description: "Update an existing record.",
+    name: "sf_source_save",
+    description:
+      "Save and compile an Apex class, trigger, Visualforce page or component through a Tooling API MetadataContainer. Creates the component if it doesn't exist. Returns compiler errors with line and column when the compile fails.",
     inputSchema: {
       type: "object",
       properties: {
-        sobject: { type: "string", description: "SObject API name" },
-        record_id: { type: "string", description: "Record ID" },
-        values: {
-          type: "object",
-          description: "Field values to update",
+        type: {
+          type: "string",
+          enum: Object.keys(SOURCE_TYPES),
+          description: "Component type",
+        },
+        name: { type: "string", description: "Component name" },
+        body: {
+          type: "string",
+          description: "Full source (Apex body or Visualforce markup)",
+        },
+        check_only: {
+          type: "boolean",
+          description:
+            "Compile without saving; only for components that already exist (default: false)",
+        },
+        wait_seconds: {
+          type: "number",
+          description: `How long to wait for the compile (default: ${DEFAULT_WAIT_SECONDS})`,
         },
         org: { type: "string", description: "Org alias" },
       },
-      required: ["sobject", "record_id", "values"],
+      required: ["type", "name", "body"],
     },
   },
   {
-    name: "sf_delete_record",
-    description: "Delete a record.",
+    name: "sf_schema_graph",
+    description:
+      "Map the data model around one or more sObjects: walks lookups and child relationships to a given depth and returns a Mermaid erDiagram plus JSON, marking master-detail vs lookup, required fields and cardinality. Audit fields (CreatedBy, Owner), history, share and feed objects are hidden unless include_system is set.",
     inputSchema: {
       type: "object",
       properties: {
-        sobject: { type: "string", description: "SObject API name" },
-        record_id: { type: "string", description: "Record ID" },
+        sobjects: {
+          type: "array",
+          items: { type: "string" },
+          description: "sObjects to start from, e.g. ['Account', 'Opportunity']",
+        },
+        depth: {
+          type: "number",
+          description: "How many relationship hops to follow (default: 1)",
+        },
+        include_children: {
+          type: "boolean",
+          description: "Follow child relationships too (default: true)",
+        },
+        include_system: {
+          type: "boolean",
+          description: "Include audit fields and history/share/feed objects",
+        },
+        fields: {
+          type: "string",
+          enum: GRAPH_FIELD_MODES,
+          description:
+            "Fields listed per object: keys and required fields (default), all, or none",
+        },
+        max_objects: {
+          type: "number",
+          description: "Stop after this many objects (default: 40)",
+        },
         org: { type: "string", description: "Org alias" },
       },
-      required: ["sobject", "record_id"],
+      required: ["sobjects"],
     },
   },
   {
-    name: "sf_get_record",
-    description: "Retrieve a single record by ID.",
+    name: "sf_permission_check",
+    description:
+      "Explain a user's effective access to an object or field: collects their profile, permission sets, permission set groups and muting permission sets, and reports each CRUD/FLS permission with the assignment that grants or blocks it. Reverse mode (who_can_edit) lists every permission set and active user that can edit a field.",
     inputSchema: {
       type: "object",
       properties: {
-        sobject: { type: "string", description: "SObject API name" },
-        record_id: { type: "string", description: "Record ID" },
-        fields: {
+        mode: {
           type: "string",
-          description: "Comma-separated field names (optional, returns all if omitted)",
+          enum: ["user", "who_can_edit"],
+          description:
+            "Analyze one user, or find who can edit a field (default: user)",
+        },
+        user: {
+          type: "string",
+          description: 'Username, User Id or "me" (user mode)',
+        },
+        sobject: { type: "string", description: "sObject API name" },
+        field: {
+          type: "string",
+          description: "Field API name (required for who_can_edit)",
+        },
+        include_sharing: {
+          type: "boolean",
+          description:
+            "Add the object's org-wide sharing defaults and whether the user sees or edits all records (default: false)",
+        },
+        max_users: {
+          type: "number",
+          description: `Maximum users listed in who_can_edit mode (default: ${MAX_PERMISSION_USERS})`,
         },
         org: { type: "string", description: "Org alias" },
       },
-      required: ["sobject", "record_id"],
+      required: ["sobject"],
     },
   },
   {
-    name: "sf_apex_run",
-    description: "Execute anonymous Apex code.",
+    name: "sf_org_compare",
+    description:
+      "Compare two orgs: field differences on chosen sObjects (missing fields, type, length, picklist values) and Tooling metadata lists (Apex classes and triggers with body hashes, flows, validation rules).",
     inputSchema: {
       type: "object",
       properties: {
-        code: { type: "string", description: "Apex code to execute" },
-        org: { type: "string", description: "Org alias" },
+        source_org: { type: "string", description: "First org alias" },
+        target_org: { type: "string", description: "Second org alias" },
+        sobjects: {
+          type: "array",
+          items: { type: "string" },
+          description: "sObjects whose fields to compare",
+        },
+        metadata_types: {
+          type: "array",
+          items: {
+            type: "string",
+            enum: Object.keys(COMPARE_METADATA_TYPES),
+          },
+          description:
+            "Tooling metadata to compare (default: all, unless sobjects are given)",
+        },
       },
-      required: ["code"],
+      required: ["source_org", "target_org"],
     },
   },
   {
-    name: "sf_apex_test",
-    description: "Run Apex tests.",
+    name: "sf_metadata_retrieve",
+    description:
+      "Retrieve metadata with the Metadata API and unpack it into a local directory. Builds package.xml from the given type/member pairs.",
     inputSchema: {
       type: "object",
       properties: {
-        class_names: {
-          type: "string",
-          description: "Comma-separated test class names",
+        components: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              type: {
+                type: "string",
+                description: "Metadata type (e.g. ApexClass, CustomObject)",
+              },
+              members: {
+                type: ["string", "array"],
+                items: { type: "string" },
+                description: "Member names, or '*' for all",
+              },
+            },
+            required: ["type"],
+          },
+          description: "Components to retrieve",
         },
-        test_level: {
+        target_dir: {
           type: "string",
-          enum: ["RunSpecifiedTests", "RunLocalTests", "RunAllTestsInOrg"],
-          description: "Test level",
+          description:
+            "Absolute directory to unpack into (default: ~/.sf-claude/metadata/<org>/<timestamp>)",
+        },
+        wait_seconds: {
+          type: "number",
+          description: `How long to wait for the retrieve (default: ${DEFAULT_WAIT_SECONDS})`,
         },
         org: { type: "string", description: "Org alias" },
       },
+      required: ["components"],
     },
   },
   {
-    name: "sf_apex_log",
-    description: "List or retrieve Apex debug logs.",
+    name: "sf_metadata_deploy",
+    description:
+      "Zip a local metadata-format directory and deploy it with the Metadata API. Supports check-only validation and test levels; reports component and test failures.",
     inputSchema: {
       type: "object",
       properties: {
-        action: {
+        source_dir: {
           type: "string",
-          enum: ["list", "get"],
-          description: "List recent logs or get a specific log body",
+          description:
+            "Absolute path to a metadata-format directory (package.xml at its root)",
         },
-        log_id: {
+        components: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              type: {
+                type: "string",
+                description: "Metadata type (e.g. ApexClass, CustomObject)",
+              },
+              members: {
+                type: ["string", "array"],
+                items: { type: "string" },
+                description: "Member names, or '*' for all",
+              },
+            },
+            required: ["type"],
+          },
+          description:
+            "Generate package.xml from these components when source_dir has none",
+        },
+        check_only: {
+          type: "boolean",
+          description: "Validate without saving changes",
+        },
+        test_level: {
           type: "string",
-          description: "Log ID (for 'get' action)",
+          enum: DEPLOY_TEST_LEVELS,
+          description: "Tests to run during the deploy",
+        },
+        run_tests: {
+          type: "array",
+          items: { type: "string" },
+          description: "Test classes for RunSpecifiedTests",
+        },
+        wait_seconds: {
+          type: "number",
+          description: `How long to wait for the deploy (default: ${DEFAULT_WAIT_SECONDS})`,
         },
         org: { type: "string", description: "Org alias" },
       },
+      required: ["source_dir"],
     },
   },
   {
-    name: "sf_list_metadata",
+    name: "sf_metadata_deploy_status",
     description:
-      "List metadata components (ApexClass, ApexTrigger, CustomObject, Flow, etc.) via Tooling API.",
+      "Check a Metadata API deploy started earlier and report its component and test failures.",
     inputSchema: {
       type: "object",
       properties: {
-        metadata_type: {
-          type: "string",
-          description:
-            "Tooling API type (e.g. ApexClass, ApexTrigger, CustomObject, Flow)",
+        deploy_id: { type: "string", description: "Deploy ID" },
+        wait_seconds: {
+          type: "number",
+          description: "How long to wait for the deploy to finish (default: 0)",
         },
         org: { type: "string", description: "Org alias" },
       },
-      required: ["metadata_type"],
+      required: ["deploy_id"],
     },
   },
   {
@@ -525,6 +7157,24 @@ const TOOLS = [
       },
     },
   },
+  {
+    name: "sf_api_usage",
+    description:
+      "Show daily API usage seen by this session per org (from the Sforce-Limit-Info header), with request and retry counts.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        refresh: {
+          type: "boolean",
+          description: "Make one call to the org to get an up-to-date count",
+        },
+        org: {
+          type: "string",
+          description: "Org alias (default: every org used this session)",
+        },
+      },
+    },
+  },
   {
     name: "sf_rest_api",
     description:
@@ -553,33 +7203,111 @@ const TOOLS = [
   },
 ];
 
+for (const tool of TOOLS) {
+  if (!WRITE_TOOLS[tool.name]) continue;
+  Object.assign(tool.inputSchema.properties, {
+    dry_run: {
+      type: "boolean",
+      description: "Preview the change without running it",
+    },
+    confirm: {
+      type: "string",
+      description:
+        "Confirmation token from a previous preview (required for orgs set to confirm-writes)",
+    },
+  });
+}
+
+for (const tool of TOOLS) {
+  Object.assign(tool.inputSchema.properties, {
+    output_format: {
+      type: "string",
+      enum: OUTPUT_FORMATS,
+      description:
+        "json (default), compact (minified, relationship fields flattened), csv or markdown table",
+    },
+    max_rows: {
+      type: "number",
+      description: "Show at most this many rows of a tabular result",
+    },
+    max_bytes: {
+      type: "number",
+      description: `Truncate output beyond this many bytes (default: ${DEFAULT_MAX_OUTPUT_BYTES})`,
+    },
+    output_file: {
+      type: "string",
+      description:
+        "Write the full output to this absolute path and return only the path and a preview",
+    },
+  });
+}
+
 // ─── Tool Handlers ─────────────────────────────────────────
 const TOOL_HANDLERS = {
-  async sf_org_login({ alias, login_url }) {
-    const result = await oauthLogin(
-      alias,
-      login_url || "https://login.salesforce.com"
-    );
-    return JSON.stringify(
-      {
-        success: true,
+  async sf_org_login({
+    alias,
+    login_url,
+    mode,
+    client_id,
+    username,
+    private_key_file,
+    callback_port,
+  }) {
+    const loginUrl = (login_url || DEFAULT_LOGIN_URL).replace(/\/+$/, "");
+    let result;
+    if (mode === "device") {
+      const device = await deviceLogin(
         alias,
-        username: result.username,
-        instanceUrl: result.instanceUrl,
-        orgId: result.orgId,
-      },
-      null,
-      2
-    );
+        loginUrl,
+        client_id || CLIENT_ID
+      );
+      if (device.status === "pending") return device;
+      result = device;
+    } else if (mode === "jwt") {
+      result = await jwtLogin(alias, loginUrl, {
+        clientId: client_id,
+        username,
+        privateKeyFile: private_key_file,
+      });
+    } else {
+      result = await oauthLogin(alias, loginUrl, {
+        clientId: client_id,
+        port: callback_port,
+      });
+    }
+    return {
+      success: true,
+      alias,
+      username: result.username,
+      instanceUrl: result.instanceUrl,
+      orgId: result.orgId,
+    };
+  },
+
+  async sf_org_import({ aliases, usernames, all, overwrite }) {
+    if (!all && !aliases?.length && !usernames?.length) {
+      const available = listSfdxAuths().map(({ auth, aliases: names }) => ({
+        aliases: names,
+        username: auth.username,
+        instanceUrl: auth.instanceUrl,
+        orgId: auth.orgId,
+      }));
+      return available.length
+        ? available
+        : { message: "No Salesforce CLI authorizations found in ~/.sfdx" };
+    }
+    return importSfdxAuths({ aliases, usernames, all, overwrite });
   },
 
   async sf_org_logout({ alias }) {
-    const orgs = loadOrgs();
-    if (!orgs[alias])
-      return JSON.stringify({ error: `Org "${alias}" not found` });
-    delete orgs[alias];
-    saveOrgs(orgs);
-    return JSON.stringify({ success: true, removed: alias });
+    const removed = updateOrgs((orgs) => {
+      if (!orgs[alias]) return false;
+      delete orgs[alias];
+      return true;
+    });
+    if (!removed)
+      return { error: `Org "${alias}" not found` };
+    return { success: true, removed: alias };
   },
 
   async sf_org_list() {
@@ -589,167 +7317,665 @@ const TOOL_HANDLERS = {
       username: o.username,
       instanceUrl: o.instanceUrl,
       orgId: o.orgId,
+      isSandbox: o.isSandbox,
+      protection: o.protection,
       authenticatedAt: o.authenticatedAt,
     }));
     if (list.length === 0) {
-      return JSON.stringify({
+      return {
         message:
           "No orgs connected. Use sf_org_login to authenticate a Salesforce org.",
-      });
+      };
+    }
+    return list;
+  },
+
+  async sf_org_display({ org }) {
+    const o = getOrg(org);
+    try {
+      const versions = await sfApi(org, "");
+      return {
+        alias: o._alias,
+        username: o.username,
+        instanceUrl: o.instanceUrl,
+        orgId: o.orgId,
+        isSandbox: o.isSandbox,
+        protection: o.protection,
+        authenticatedAt: o.authenticatedAt,
+        latestApiVersion: Array.isArray(versions)
+          ? versions[versions.length - 1]?.version
+          : undefined,
+      };
+    } catch {
+      return {
+        alias: o._alias,
+        username: o.username,
+        instanceUrl: o.instanceUrl,
+        orgId: o.orgId,
+        isSandbox: o.isSandbox,
+        protection: o.protection,
+        authenticatedAt: o.authenticatedAt,
+      };
+    }
+  },
+
+  async sf_org_protection(args) {
+    const o = getOrg(args.org);
+    const current = await getProtectionLevel(o);
+    const { level } = args;
+    if (!level || level === current) {
+      return { alias: o._alias, protection: current };
+    }
+    if (!PROTECTION_LEVELS.includes(level)) {
+      throw new Error(`level must be one of: ${PROTECTION_LEVELS.join(", ")}`);
+    }
+    const loosening =
+      PROTECTION_LEVELS.indexOf(level) > PROTECTION_LEVELS.indexOf(current);
+    if (
+      loosening &&
+      !consumeConfirmation("sf_org_protection", o._alias, args)
+    ) {
+      return writePreview("sf_org_protection", o, current, args, true);
+    }
+    updateOrgs((orgs) => {
+      orgs[o._alias].protection = level;
+    });
+    return {
+      success: true,
+      alias: o._alias,
+      previous: current,
+      protection: level,
+    };
+  },
+
+  async sf_query({
+    query,
+    org,
+    tooling,
+    include_deleted,
+    max_records,
+    validate,
+  }) {
+    if (validate && !tooling) {
+      const { errors, warnings } = await validateSoql(org, query);
+      if (errors.length) {
+        throw new Error(
+          `Query check failed:\n${errors.map((e) => `- ${e.message}`).join("\n")}\nRun it without validate to send it anyway.`
+        );
+      }
+      warnings.forEach(addWarning);
+    }
+    return sfQueryAll(org, query, {
+      tooling,
+      includeDeleted: include_deleted,
+      maxRecords: max_records,
+    });
+  },
+
+  async sf_query_check({ query, explain = true, org }) {
+    const { checked, errors, warnings } = await validateSoql(org, query);
+    const result = {
+      valid: !errors.length,
+      checked,
+      errors,
+      warnings,
+    };
+    if (explain && !errors.length) {
+      try {
+        result.plan = await explainSoql(org, query);
+      } catch (err) {
+        result.valid = false;
+        result.planError = err.message;
+      }
+    }
+    return result;
+  },
+
+  async sf_search({ query, org, max_records }) {
+    const result = await sfApi(
+      org,
+      `/search?q=${encodeURIComponent(query)}`
+    );
+    const maxRecords = max_records || DEFAULT_MAX_RECORDS;
+    const found = result.searchRecords || [];
+    return {
+      totalSize: found.length,
+      fetched: Math.min(found.length, maxRecords),
+      truncated: found.length > maxRecords,
+      searchRecords: found.slice(0, maxRecords),
+    };
+  },
+
+  async sf_describe({
+    sobject,
+    summary,
+    field_pattern,
+    field_type,
+    custom_only,
+    org,
+  }) {
+    const describe = await describeSObject(org, sobject);
+    const fields = filterFields(describe.fields, {
+      fieldPattern: field_pattern,
+      fieldType: field_type,
+      customOnly: custom_only,
+    });
+    return summary
+      ? summarizeDescribe(describe, fields)
+      : { ...describe, fields };
+  },
+
+  async sf_list_objects({ org }) {
+    return describeGlobal(org);
+  },
+
+  async sf_create_record({ sobject, values, org }) {
+    return journaledCreate(org, "sf_create_record", sobject, values);
+  },
+
+  async sf_update_record({ sobject, record_id, values, org }) {
+    const journalId = await journaledUpdate(
+      org,
+      "sf_update_record",
+      sobject,
+      record_id,
+      values
+    );
+    return { success: true, id: record_id, journalId };
+  },
+
+  async sf_delete_record({ sobject, record_id, org }) {
+    const journalId = await journaledDelete(
+      org,
+      "sf_delete_record",
+      sobject,
+      record_id
+    );
+    return { success: true, deleted: record_id, journalId };
+  },
+
+  async sf_get_record({ sobject, record_id, fields, org }) {
+    let path = `/sobjects/${sobject}/${record_id}`;
+    if (fields) path += `?fields=${encodeURIComponent(fields)}`;
+    return sfApi(org, path);
+  },
+
+  async sf_upsert_record({
+    sobject,
+    external_id_field,
+    external_id,
+    values,
+    org,
+  }) {
+    const field = await assertExternalIdField(org, sobject, external_id_field);
+    const { results, journalId } = await journaledUpsert(
+      org,
+      "sf_upsert_record",
+      {
+        sobject,
+        field,
+        records: [{ ...values, [field]: external_id }],
+        allOrNone: true,
+      }
+    );
+    const [result] = results;
+    if (!result.success) {
+      throw new Error(JSON.stringify(normalizeErrors(result.errors), null, 2));
     }
-    return JSON.stringify(list, null, 2);
+    return {
+      success: true,
+      id: result.id,
+      created: result.created ?? false,
+      [field]: external_id,
+      journalId,
+    };
   },
 
-  async sf_org_display({ org }) {
-    const o = getOrg(org);
-    try {
-      const versions = await sfApi(org, "");
-      return JSON.stringify(
-        {
-          alias: o._alias,
-          username: o.username,
-          instanceUrl: o.instanceUrl,
-          orgId: o.orgId,
-          authenticatedAt: o.authenticatedAt,
-          latestApiVersion: Array.isArray(versions)
-            ? versions[versions.length - 1]?.version
-            : undefined,
-        },
-        null,
-        2
-      );
-    } catch {
-      return JSON.stringify(
-        {
-          alias: o._alias,
-          username: o.username,
-          instanceUrl: o.instanceUrl,
-          orgId: o.orgId,
-          authenticatedAt: o.authenticatedAt,
-        },
-        null,
-        2
-      );
-    }
+  async sf_upsert_records({
+    sobject,
+    external_id_field,
+    records,
+    all_or_none,
+    org,
+  }) {
+    const field = await assertExternalIdField(org, sobject, external_id_field);
+    const { results, journalId } = await journaledUpsert(
+      org,
+      "sf_upsert_records",
+      { sobject, field, records, allOrNone: all_or_none }
+    );
+    return { ...summarizeCollectionResults(results), journalId };
   },
 
-  async sf_query({ query, org, tooling }) {
-    const prefix = tooling ? "/tooling" : "";
-    const result = await sfApi(
+  async sf_batch_records({
+    operation,
+    sobject,
+    records,
+    ids,
+    all_or_none,
+    org,
+  }) {
+    const { results, journalId } = await journaledCollection(
       org,
-      `${prefix}/query?q=${encodeURIComponent(query)}`
+      "sf_batch_records",
+      operation,
+      { sobject, records, ids, allOrNone: all_or_none }
     );
-    return JSON.stringify(result, null, 2);
+    return { ...summarizeCollectionResults(results), journalId };
   },
 
-  async sf_search({ query, org }) {
-    const result = await sfApi(
+  async sf_journal({ entry_id, sobject, record_id, limit, org }) {
+    return browseJournal({
+      entryId: entry_id,
       org,
-      `/search?q=${encodeURIComponent(query)}`
-    );
-    return JSON.stringify(result, null, 2);
+      sobject,
+      recordId: record_id,
+      limit,
+    });
   },
 
-  async sf_describe({ sobject, org }) {
-    const result = await sfApi(org, `/sobjects/${sobject}/describe`);
-    return JSON.stringify(result, null, 2);
+  async sf_journal_undo({ entry_id, force }) {
+    return undoJournalEntry(entry_id, { force });
   },
 
-  async sf_list_objects({ org }) {
-    const result = await sfApi(org, "/sobjects");
-    return JSON.stringify(result, null, 2);
+  async sf_composite({ requests, all_or_none, graph, org }) {
+    return sfComposite(org, requests, {
+      allOrNone: all_or_none,
+      graph,
+    });
   },
 
-  async sf_create_record({ sobject, values, org }) {
-    const result = await sfApi(org, `/sobjects/${sobject}`, {
-      method: "POST",
-      body: values,
+  async sf_bulk_ingest({
+    sobject,
+    operation,
+    data,
+    external_id_field,
+    wait_seconds,
+    max_results,
+    org,
+  }) {
+    const jobId = await bulkIngest(org, {
+      sobject,
+      operation,
+      data,
+      externalIdField: external_id_field,
+    });
+    return bulkJobResult(org, "ingest", jobId, {
+      waitSeconds: wait_seconds,
+      maxRecords: max_results,
     });
-    return JSON.stringify(result, null, 2);
   },
 
-  async sf_update_record({ sobject, record_id, values, org }) {
-    await sfApi(org, `/sobjects/${sobject}/${record_id}`, {
-      method: "PATCH",
-      body: values,
+  async sf_data_export({ query, relationships, max_records, org }) {
+    return exportTree(org, {
+      query,
+      relationships,
+      maxRecords: max_records,
     });
-    return JSON.stringify({ success: true, id: record_id });
   },
 
-  async sf_delete_record({ sobject, record_id, org }) {
-    await sfApi(org, `/sobjects/${sobject}/${record_id}`, {
-      method: "DELETE",
+  async sf_data_import({
+    plan,
+    plan_file,
+    skip_readonly,
+    keep_unmapped_ids,
+    org,
+  }) {
+    if (!plan && !plan_file) throw new Error("Provide plan or plan_file");
+    if (!plan && !existsSync(resolve(plan_file))) {
+      throw new Error(`Plan file not found: ${resolve(plan_file)}`);
+    }
+    return importTree(org, plan || readJsonFile(resolve(plan_file)), {
+      skipReadOnly: skip_readonly,
+      keepUnmappedIds: keep_unmapped_ids,
     });
-    return JSON.stringify({ success: true, deleted: record_id });
   },
 
-  async sf_get_record({ sobject, record_id, fields, org }) {
-    let path = `/sobjects/${sobject}/${record_id}`;
-    if (fields) path += `?fields=${encodeURIComponent(fields)}`;
-    const result = await sfApi(org, path);
-    return JSON.stringify(result, null, 2);
+  async sf_bulk_query({
+    query,
+    include_deleted,
+    wait_seconds,
+    max_records,
+    org,
+  }) {
+    const jobId = await bulkQuery(org, query, include_deleted);
+    return bulkJobResult(org, "query", jobId, {
+      waitSeconds: wait_seconds,
+      maxRecords: max_records,
+    });
   },
 
-  async sf_apex_run({ code, org }) {
-    const result = await sfApi(
+  async sf_bulk_job_status({
+    job_id,
+    job_type,
+    wait_seconds,
+    max_results,
+    org,
+  }) {
+    return bulkJobResult(org, job_type || "ingest", job_id, {
+      waitSeconds: wait_seconds || 0,
+      maxRecords: max_results,
+    });
+  },
+
+  async sf_event_publish({ event, values, events, org }) {
+    const messages = events || (values ? [values] : []);
+    if (!messages.length) throw new Error("Provide values or events");
+    return publishEvents(org, event, messages);
+  },
+
+  async sf_stream_subscribe({
+    channel,
+    window_seconds,
+    max_events,
+    replay_id,
+    org,
+  }) {
+    return streamEvents(org, streamChannel(channel), {
+      windowSeconds: window_seconds,
+      maxEvents: max_events,
+      replayId: replay_id,
+    });
+  },
+
+  async sf_apex_run({ code, debug_log = true, raw_log, org }) {
+    if (debug_log) return runAnonymousWithLog(org, code, { rawLog: raw_log });
+    return sfApi(
       org,
       `/tooling/executeAnonymous?anonymousBody=${encodeURIComponent(code)}`
     );
-    return JSON.stringify(result, null, 2);
   },
 
-  async sf_apex_test({ class_names, test_level, org }) {
-    if (class_names) {
-      const tests = class_names
+  async sf_apex_test({
+    class_names,
+    test_methods,
+    test_level,
+    wait_seconds,
+    coverage,
+    org,
+  }) {
+    const body = buildTestRequest({
+      classNames: (class_names || "")
         .split(",")
-        .map((c) => ({ className: c.trim() }));
-      const result = await sfApi(org, "/tooling/runTestsSynchronous", {
-        method: "POST",
-        body: { tests },
-      });
-      return JSON.stringify(result, null, 2);
-    }
-    if (test_level) {
-      const result = await sfApi(org, "/tooling/runTestsAsynchronous", {
-        method: "POST",
-        body: { testLevel: test_level },
-      });
-      return JSON.stringify(result, null, 2);
-    }
-    return JSON.stringify({
-      error: "Provide class_names or test_level",
+        .map((c) => c.trim())
+        .filter(Boolean),
+      testMethods: test_methods || [],
+      testLevel: test_level,
+    });
+    const jobId = await sfApi(org, "/tooling/runTestsAsynchronous", {
+      method: "POST",
+      body,
+    });
+    return testRunResult(org, jobId, {
+      waitSeconds: wait_seconds,
+      coverage,
     });
   },
 
-  async sf_apex_log({ action, log_id, org }) {
-    if (action === "get" && log_id) {
-      const res = await sfRawApi(
-        org,
-        `/services/data/v${API_VERSION}/sobjects/ApexLog/${log_id}/Body`
-      );
-      return await res.text();
+  async sf_apex_test_status({ job_id, wait_seconds, coverage, org }) {
+    return testRunResult(org, job_id, {
+      waitSeconds: wait_seconds || 0,
+      coverage,
+    });
+  },
+
+  async sf_apex_log({ action, log_id, top, include_events, org }) {
+    if (action === "get" && log_id) return fetchLogBody(org, log_id);
+    if (action === "parse") {
+      if (!log_id) throw new Error("log_id is required to parse a log");
+      const parsed = parseDebugLog(await fetchLogBody(org, log_id));
+      const summary = { logId: log_id, ...summarizeDebugLog(parsed, { top }) };
+      if (include_events) summary.events = parsed;
+      return summary;
     }
-    const result = await sfApi(
+    return sfApi(
       org,
       `/tooling/query?q=${encodeURIComponent(
         "SELECT Id, LogLength, Request, Operation, Application, Status, StartTime, DurationMilliseconds FROM ApexLog ORDER BY StartTime DESC LIMIT 20"
       )}`
     );
-    return JSON.stringify(result, null, 2);
+  },
+
+  async sf_apex_log_delete({ log_ids, older_than_hours, user, max_logs, org }) {
+    return deleteApexLogs(org, {
+      logIds: log_ids,
+      olderThanHours: older_than_hours,
+      user,
+      maxLogs: max_logs,
+    });
+  },
+
+  async sf_trace_flag({
+    action = "list",
+    traced_entity,
+    log_type,
+    debug_level,
+    minutes,
+    trace_flag_id,
+    org,
+  }) {
+    if (action === "create") {
+      if (!traced_entity) throw new Error("traced_entity is required");
+      return createTraceFlag(org, {
+        tracedEntity: traced_entity,
+        logType: log_type,
+        debugLevel: debug_level,
+        minutes,
+      });
+    }
+    if (action === "delete") {
+      if (!trace_flag_id) throw new Error("trace_flag_id is required");
+      return sfApi(org, `/tooling/sobjects/TraceFlag/${trace_flag_id}`, {
+        method: "DELETE",
+      });
+    }
+    const { records } = await sfQueryAll(
+      org,
+      "SELECT Id, TracedEntityId, TracedEntity.Name, LogType, StartDate, ExpirationDate, DebugLevel.DeveloperName FROM TraceFlag ORDER BY ExpirationDate DESC",
+      { tooling: true }
+    );
+    const now = Date.now();
+    return records.map((r) => ({
+      id: r.Id,
+      tracedEntityId: r.TracedEntityId,
+      tracedEntity: r.TracedEntity?.Name,
+      logType: r.LogType,
+      debugLevel: r.DebugLevel?.DeveloperName,
+      startDate: r.StartDate,
+      expirationDate: r.ExpirationDate,
+      active:
+        (!r.StartDate || Date.parse(r.StartDate) <= now) &&
+        Date.parse(r.ExpirationDate) > now,
+    }));
+  },
+
+  async sf_debug_level({ action = "list", name, levels, org }) {
+    if (action === "create") {
+      if (!name) throw new Error("name is required");
+      return sfApi(org, "/tooling/sobjects/DebugLevel", {
+        method: "POST",
+        body: debugLevelBody(name, levels),
+      });
+    }
+    if (action === "delete") {
+      if (!name) throw new Error("name is required");
+      const id = await findDebugLevel(org, name);
+      if (!id) throw new Error(`Debug level ${name} not found`);
+      return sfApi(org, `/tooling/sobjects/DebugLevel/${id}`, {
+        method: "DELETE",
+      });
+    }
+    const { records } = await sfQueryAll(
+      org,
+      `SELECT Id, DeveloperName, ${DEBUG_LOG_CATEGORIES.join(", ")} FROM DebugLevel ORDER BY DeveloperName`,
+      { tooling: true }
+    );
+    return records;
   },
 
   async sf_list_metadata({ metadata_type, org }) {
     const query = `SELECT Id, Name, NamespacePrefix FROM ${metadata_type} ORDER BY Name`;
-    const result = await sfApi(
+    return sfApi(
       org,
       `/tooling/query?q=${encodeURIComponent(query)}`
     );
-    return JSON.stringify(result, null, 2);
+  },
+
+  async sf_flow_list({ name_pattern, active_only, max_records, org }) {
+    return listFlows(org, {
+      namePattern: name_pattern,
+      activeOnly: active_only,
+      maxRecords: max_records,
+    });
+  },
+
+  async sf_flow_get({ flow, version, format = "readable", org }) {
+    const { flow: record, ...definition } = await getFlow(org, flow, {
+      versionNumber: version,
+    });
+    if (format === "raw") return { ...definition, ...record };
+    const readable = readableFlow(record);
+    const summary = summarizeFlow(readable);
+    if (format === "summary") return summary;
+    return { ...definition, summary, ...readable };
+  },
+
+  async sf_flow_activate({ flow, action = "activate", version, org }) {
+    return setActiveFlowVersion(org, flow, action, version);
+  },
+
+  async sf_flow_failures({ flow, since_hours, limit, org }) {
+    return listFlowFailures(org, { flow, sinceHours: since_hours, limit });
+  },
+
+  async sf_source_get({ type, name, org }) {
+    return fetchSource(org, type, name);
+  },
+
+  async sf_source_save({ type, name, body, check_only, wait_seconds, org }) {
+    return saveSource(org, type, name, body, {
+      checkOnly: check_only,
+      waitSeconds: wait_seconds,
+    });
+  },
+
+  async sf_schema_graph({
+    sobjects,
+    depth,
+    include_children,
+    include_system,
+    fields,
+    max_objects,
+    org,
+  }) {
+    return buildSchemaGraph(org, {
+      sobjects,
+      depth,
+      includeChildren: include_children,
+      includeSystem: include_system,
+      fields,
+      maxObjects: max_objects,
+    });
+  },
+
+  async sf_permission_check({
+    mode = "user",
+    user,
+    sobject,
+    field,
+    include_sharing,
+    max_users,
+    org,
+  }) {
+    if (mode === "who_can_edit") {
+      if (!field) throw new Error("field is required for who_can_edit");
+      return whoCanEditField(org, sobject, field, { maxUsers: max_users });
+    }
+    if (!user) throw new Error("user is required");
+    return analyzeUserAccess(org, {
+      user,
+      sobject,
+      field,
+      includeSharing: include_sharing,
+    });
+  },
+
+  async sf_org_compare({ source_org, target_org, sobjects, metadata_types }) {
+    return compareOrgs(source_org, target_org, {
+      sobjects,
+      metadataTypes:
+        metadata_types ||
+        (sobjects?.length ? [] : Object.keys(COMPARE_METADATA_TYPES)),
+    });
+  },
+
+  async sf_metadata_retrieve({ components, target_dir, wait_seconds, org }) {
+    const targetDir = resolve(
+      target_dir ||
+        join(
+          CREDS_DIR,
+          "metadata",
+          getOrg(org)._alias,
+          new Date().toISOString().replace(/[:.]/g, "-")
+        )
+    );
+    return metadataRetrieve(org, {
+      components,
+      targetDir,
+      waitSeconds: wait_seconds,
+    });
+  },
+
+  async sf_metadata_deploy({
+    source_dir,
+    components,
+    check_only,
+    test_level,
+    run_tests,
+    wait_seconds,
+    org,
+  }) {
+    const id = await metadataDeploy(org, {
+      sourceDir: source_dir,
+      components,
+      checkOnly: check_only,
+      testLevel: test_level,
+      runTests: run_tests,
+    });
+    return metadataDeployStatus(org, id, wait_seconds);
+  },
+
+  async sf_metadata_deploy_status({ deploy_id, wait_seconds, org }) {
+    return metadataDeployStatus(
+      org,
+      deploy_id,
+      wait_seconds || 0
+    );
   },
 
   async sf_org_limits({ org }) {
-    const result = await sfApi(org, "/limits");
-    return JSON.stringify(result, null, 2);
+    return sfApi(org, "/limits");
+  },
+
+  async sf_api_usage({ refresh, org }) {
+    if (refresh) await sfApi(org, "/limits");
+    const aliases =
+      org || refresh ? [getOrg(org)._alias] : [...apiUsage.keys()];
+    return {
+      warnPercent: API_WARN_PERCENT,
+      orgs: aliases.map((alias) => {
+        const { used, max, requests, retries, updatedAt } = usageFor(alias);
+        return {
+          org: alias,
+          used,
+          max,
+          percent: max ? Math.round((used / max) * 1000) / 10 : undefined,
+          sessionRequests: requests,
+          retries,
+          updatedAt,
+        };
+      }),
+    };
   },
 
   async sf_rest_api({ endpoint, method, body, org }) {
@@ -759,24 +7985,418 @@ const TOOL_HANDLERS = {
     });
     const text = await res.text();
     try {
-      return JSON.stringify(JSON.parse(text), null, 2);
+      return JSON.parse(text);
     } catch {
       return text;
     }
   },
 };
 
+// ─── Resources & Prompts ───────────────────────────────────
+const RESOURCE_POLL_SECONDS = 30;
+const PROFILE_SAMPLE_SIZE = 200;
+const PROFILE_MAX_FIELDS = 60;
+// Compound and binary fields can't be sampled alongside the others.
+const PROFILE_SKIPPED_TYPES = ["address", "location", "base64", "complexvalue"];
+const resourceSubscriptions = new Map();
+
+// URIs name the org explicitly, so don't fall back to the default org.
+function resourceOrg(segment) {
+  const alias = decodeURIComponent(segment);
+  if (!loadOrgs()[alias]) throw new Error(`Org not connected: ${alias}`);
+  return alias;
+}
+
+function jsonResource(value) {
+  return { mimeType: "application/json", text: JSON.stringify(value, null, 2) };
+}
+
+async function latestLogId(orgAlias) {
+  const { records } = await sfQueryAll(
+    orgAlias,
+    "SELECT Id FROM ApexLog ORDER BY StartTime DESC LIMIT 1",
+    { tooling: true }
+  );
+  return records[0]?.Id;
+}
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "salesforce://{org}/sobjects",
+    name: "sObject list",
+    description: "Objects in the org with labels and API names",
+    mimeType: "application/json",
+  },
+  {
+    uriTemplate: "salesforce://{org}/sobject/{name}",
+    name: "sObject describe",
+    description:
+      "Field summary of an object: types, lengths, picklists, lookups",
+    mimeType: "application/json",
+  },
+  {
+    uriTemplate: "salesforce://{org}/apex/{class}",
+    name: "Apex class",
+    description: "Source of an Apex class",
+    mimeType: "text/x-apex",
+  },
+  {
+    uriTemplate: "salesforce://{org}/logs",
+    name: "Debug logs",
+    description:
+      "The 20 most recent debug logs; subscribe to hear about new ones",
+    mimeType: "application/json",
+  },
+  {
+    uriTemplate: "salesforce://{org}/log/{id}",
+    name: "Debug log",
+    description: "Raw body of a debug log",
+    mimeType: "text/plain",
+  },
+];
+
+// Each reader matches a URI and returns { mimeType, text }. `version`
+// returns a cheap fingerprint for readers that support subscriptions.
+const RESOURCE_READERS = [
+  {
+    pattern: /^salesforce:\/\/orgs$/,
+    read: async () => jsonResource(await TOOL_HANDLERS.sf_org_list()),
+    version: async () =>
+      statSync(CREDS_FILE, { throwIfNoEntry: false })?.mtimeMs,
+  },
+  {
+    pattern: /^salesforce:\/\/([^/]+)\/sobjects$/,
+    read: async (org) => {
+      const { sobjects } = await describeGlobal(resourceOrg(org));
+      return jsonResource(
+        sobjects.map((s) => ({
+          name: s.name,
+          label: s.label,
+          custom: s.custom,
+        }))
+      );
+    },
+  },
+  {
+    pattern: /^salesforce:\/\/([^/]+)\/sobject\/([^/]+)$/,
+    read: async (org, name) =>
+      jsonResource(
+        await TOOL_HANDLERS.sf_describe({
+          sobject: decodeURIComponent(name),
+          summary: true,
+          org: resourceOrg(org),
+        })
+      ),
+  },
+  {
+    pattern: /^salesforce:\/\/([^/]+)\/apex\/([^/]+)$/,
+    read: async (org, name) => ({
+      mimeType: "text/x-apex",
+      text: (
+        await fetchSource(
+          resourceOrg(org),
+          "ApexClass",
+          decodeURIComponent(name)
+        )
+      ).body,
+    }),
+  },
+  {
+    pattern: /^salesforce:\/\/([^/]+)\/logs$/,
+    read: async (org) =>
+      jsonResource(await TOOL_HANDLERS.sf_apex_log({ org: resourceOrg(org) })),
+    version: (org) => latestLogId(resourceOrg(org)),
+  },
+  {
+    pattern: /^salesforce:\/\/([^/]+)\/log\/([^/]+)$/,
+    read: async (org, id) => ({
+      mimeType: "text/plain",
+      text: await fetchLogBody(resourceOrg(org), decodeURIComponent(id)),
+    }),
+  },
+];
+
+function findResourceReader(uri) {
+  for (const reader of RESOURCE_READERS) {
+    const match = uri.match(reader.pattern);
+    if (match) return { reader, args: match.slice(1) };
+  }
+  throw new Error(`Unknown resource: ${uri}`);
+}
+
+function listResources() {
+  const resources = [
+    {
+      uri: "salesforce://orgs",
+      name: "Connected orgs",
+      description: "Orgs this server can reach; subscribe to hear about logins",
+      mimeType: "application/json",
+    },
+  ];
+  for (const alias of Object.keys(loadOrgs())) {
+    const base = `salesforce://${encodeURIComponent(alias)}`;
+    resources.push(
+      {
+        uri: `${base}/sobjects`,
+        name: `${alias}: sObjects`,
+        mimeType: "application/json",
+      },
+      {
+        uri: `${base}/logs`,
+        name: `${alias}: debug logs`,
+        mimeType: "application/json",
+      }
+    );
+  }
+  return resources;
+}
+
+async function readResource(uri) {
+  const { reader, args } = findResourceReader(uri);
+  const { mimeType, text } = await reader.read(...args);
+  return { uri, mimeType, text };
+}
+
+// Polls the resource's fingerprint and notifies the client when it changes.
+async function subscribeResource(uri, notify) {
+  const { reader, args } = findResourceReader(uri);
+  if (!reader.version) {
+    throw new Error(`Updates are not published for ${uri}`);
+  }
+  if (resourceSubscriptions.has(uri)) return;
+  const subscription = { last: await reader.version(...args) };
+  subscription.timer = setInterval(async () => {
+    try {
+      const current = await reader.version(...args);
+      if (current === subscription.last) return;
+      subscription.last = current;
+      await notify(uri);
+    } catch {
+      // Transient failures are retried on the next tick.
+    }
+  }, RESOURCE_POLL_SECONDS * 1000);
+  subscription.timer.unref();
+  resourceSubscriptions.set(uri, subscription);
+}
+
+function unsubscribeResource(uri) {
+  clearInterval(resourceSubscriptions.get(uri)?.timer);
+  resourceSubscriptions.delete(uri);
+}
+
+// Fill rate and top values per field across a sample of records.
+function profileRecords(records, fields) {
+  return fields.map((field) => {
+    const values = records
+      .map((r) => r[field.name])
+      .filter((v) => v !== null && v !== undefined && v !== "");
+    const counts = groupBy(values, String);
+    const profile = {
+      field: field.name,
+      type: field.type,
+      filled: `${values.length}/${records.length}`,
+      distinct: counts.size,
+    };
+    const repeats = counts.size < values.length;
+    if ((repeats && counts.size <= 10) || field.type === "picklist") {
+      profile.topValues = Object.fromEntries(
+        [...counts]
+          .sort((a, b) => b[1].length - a[1].length)
+          .slice(0, 5)
+          .map(([value, hits]) => [value, hits.length])
+      );
+    }
+    return profile;
+  });
+}
+
+async function settle(promise) {
+  try {
+    return await promise;
+  } catch (err) {
+    return `(could not load: ${err.message})`;
+  }
+}
+
+function promptText(...parts) {
+  return parts
+    .map((p) => (typeof p === "string" ? p : JSON.stringify(p, null, 2)))
+    .join("\n\n");
+}
+
+const PROMPTS = [
+  {
+    name: "investigate_failing_test",
+    description:
+      "Gather recent results and source for an Apex test class and walk through finding the cause of its failures",
+    arguments: [
+      { name: "class_name", description: "Apex test class", required: true },
+      { name: "org", description: "Org alias" },
+    ],
+  },
+  {
+    name: "profile_data_quality",
+    description:
+      "Sample an object's records and review field fill rates, value spread and likely data problems",
+    arguments: [
+      { name: "sobject", description: "sObject API name", required: true },
+      {
+        name: "sample_size",
+        description: `Records to sample (default: ${PROFILE_SAMPLE_SIZE})`,
+      },
+      { name: "org", description: "Org alias" },
+    ],
+  },
+  {
+    name: "analyze_debug_log",
+    description:
+      "Summarize a debug log (the latest one by default) and point out slow code, queries in loops and limit pressure",
+    arguments: [
+      { name: "log_id", description: "ApexLog Id (default: most recent)" },
+      { name: "org", description: "Org alias" },
+    ],
+  },
+];
+
+const PROMPT_BUILDERS = {
+  async investigate_failing_test({ class_name, org }) {
+    if (!class_name) throw new Error("class_name is required");
+    const alias = getOrg(org)._alias;
+    const uri = `salesforce://${encodeURIComponent(alias)}/apex/${encodeURIComponent(class_name)}`;
+    const [results, source] = await Promise.all([
+      settle(
+        TOOL_HANDLERS.sf_query({
+          query: `SELECT MethodName, Outcome, Message, StackTrace, TestTimestamp FROM ApexTestResult WHERE ApexClass.Name = ${soqlString(class_name)} ORDER BY TestTimestamp DESC LIMIT 20`,
+          org: alias,
+        })
+      ),
+      settle(readResource(uri)),
+    ]);
+    const messages = [
+      {
+        role: "user",
+        content: {
+          type: "text",
+          text: promptText(
+            `Tests in the Apex class ${class_name} are failing in org ${alias}. Find out why.`,
+            "Recent results:",
+            results?.records ?? results,
+            [
+              "Work through it like this:",
+              `1. Re-run the class with sf_apex_test (class_names: "${class_name}") to confirm the current failures.`,
+              `2. Read each failing method's message and stack trace; open the classes it names via salesforce://${alias}/apex/{class}.`,
+              "3. If the cause isn't clear, set a trace flag with sf_trace_flag, re-run, and read the log with sf_apex_log (action: parse).",
+              "4. Check recent changes to the records or metadata the test relies on (validation rules, required fields, flows).",
+              "5. Explain the root cause and propose a fix to the test or the code under test.",
+            ].join("\n")
+          ),
+        },
+      },
+    ];
+    if (typeof source === "object") {
+      messages.push({
+        role: "user",
+        content: { type: "resource", resource: source },
+      });
+    }
+    return {
+      description: `Investigate failing tests in ${class_name}`,
+      messages,
+    };
+  },
+
+  async profile_data_quality({ sobject, sample_size, org }) {
+    if (!sobject) throw new Error("sobject is required");
+    const describe = await describeSObject(org, sobject);
+    const fields = describe.fields
+      .filter(
+        (f) =>
+          !f.deprecatedAndHidden &&
+          !PROFILE_SKIPPED_TYPES.includes(f.type.toLowerCase())
+      )
+      .slice(0, PROFILE_MAX_FIELDS);
+    const byCreated = describe.fields.some((f) => f.name === "CreatedDate");
+    const size = Number(sample_size) || PROFILE_SAMPLE_SIZE;
+    const { records } = await TOOL_HANDLERS.sf_query({
+      query: `SELECT ${fields.map((f) => f.name).join(", ")} FROM ${describe.name}${byCreated ? " ORDER BY CreatedDate DESC" : ""} LIMIT ${size}`,
+      org,
+      max_records: size,
+    });
+    return {
+      description: `Profile data quality of ${describe.name}`,
+      messages: [
+        {
+          role: "user",
+          content: {
+            type: "text",
+            text: promptText(
+              `Review the data quality of ${describe.name} (${describe.label}) using this profile of ${byCreated ? `the ${records.length} most recently created` : `a sample of ${records.length}`} records.`,
+              profileRecords(records, fields),
+              [
+                "Report on:",
+                "- Fields that are rarely filled, especially ones the business likely depends on",
+                "- Picklists or text fields with inconsistent, placeholder or duplicate-looking values",
+                "- Fields that are never used and could be retired",
+                "- Follow-up SOQL (run with sf_query) to size each problem across the whole object",
+              ].join("\n")
+            ),
+          },
+        },
+      ],
+    };
+  },
+
+  async analyze_debug_log({ log_id, org }) {
+    const logId = log_id || (await latestLogId(org));
+    if (!logId) throw new Error("No debug logs found in this org");
+    const summary = await TOOL_HANDLERS.sf_apex_log({
+      action: "parse",
+      log_id: logId,
+      org,
+    });
+    return {
+      description: `Analyze debug log ${logId}`,
+      messages: [
+        {
+          role: "user",
+          content: {
+            type: "text",
+            text: promptText(
+              `Analyze this summary of debug log ${logId}.`,
+              summary,
+              [
+                "Explain what the transaction did, then call out:",
+                "- The slowest code units and why they might be slow",
+                "- SOQL or DML inside loops and how to bulkify them",
+                "- Governor limits close to their maximum",
+                "- Exceptions and where they were thrown",
+                "Use sf_apex_log (action: get) for the raw log if a detail needs checking.",
+              ].join("\n")
+            ),
+          },
+        },
+      ],
+    };
+  },
+};
+
 // ─── MCP Server ────────────────────────────────────────────
 const server = new Server(
   { name: "salesforce-cli", version: "2.0.0" },
-  { capabilities: { tools: {} } }
+  {
+    capabilities: {
+      tools: {},
+      resources: { subscribe: true },
+      prompts: {},
+    },
+  }
 );
 
 server.setRequestHandler(ListToolsRequestSchema, async () => ({
   tools: TOOLS,
 }));
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
   const { name, arguments: args } = request.params;
   const handler = TOOL_HANDLERS[name];
   if (!handler) {
@@ -785,9 +8405,19 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       isError: true,
     };
   }
+  const input = args || {};
   try {
-    const result = await handler(args || {});
-    return { content: [{ type: "text", text: result }] };
+    if (WRITE_TOOLS[name]?.(input)) {
+      const preview = await checkWriteProtection(name, input);
+      if (preview) return { content: [{ type: "text", text: preview }] };
+    }
+    const context = { signal: extra?.signal, warnings: [] };
+    const result = await requestContext.run(context, () => handler(input));
+    const content = [{ type: "text", text: shapeOutput(result, input) }];
+    for (const warning of context.warnings) {
+      content.push({ type: "text", text: `Warning: ${warning}` });
+    }
+    return { content };
   } catch (err) {
     return {
       content: [{ type: "text", text: `Error: ${err.message}` }],
@@ -796,5 +8426,40 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   }
 });
 
+server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+  resources: listResources(),
+}));
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+  resourceTemplates: RESOURCE_TEMPLATES,
+}));
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => ({
+  contents: [await readResource(request.params.uri)],
+}));
+
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  await subscribeResource(request.params.uri, (uri) =>
+    server.sendResourceUpdated({ uri })
+  );
+  return {};
+});
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  unsubscribeResource(request.params.uri);
+  return {};
+});
+
+server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+  prompts: PROMPTS,
+}));
+
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+  const { name, arguments: args } = request.params;
+  const builder = PROMPT_BUILDERS[name];
+  if (!builder) throw new Error(`Unknown prompt: ${name}`);
+  return builder(args || {});
+});
+
 const transport = new StdioServerTransport();
 await server.connect(transport);